@@ -0,0 +1,214 @@
+/* ============================================================================
+ASSETS.JS - Asset Loader
+
+Every file the app ships with (mockups, sample patterns, icons, music) is
+loaded through here:
+
+- The bundled copy in assets/ is tried first, so the app runs offline
+  (files marked hosted aren't bundled, so only the hosted copy is tried)
+- The hosted copy is the fallback, retried with a growing delay
+- Each asset's progress and any failures show in the asset status pill
+
+Assets are named by folder and file (folders are listed in
+ASSET_CONFIG.FOLDERS), e.g. loadAsset('image', 'patterns', 'Beaver.png').
+============================================================================ */
+
+/**
+ * Asset loader state
+ * requests holds one promise per asset so repeat loads share it;
+ * assets holds each asset's status for the status pill
+ */
+const assetState = {
+  requests: new Map(),
+  assets: new Map(),
+  hideTimer: null
+};
+
+/**
+ * How each asset type is loaded from one source
+ * Each returns a promise of the loaded value.
+ */
+const ASSET_LOADERS = {
+  image: source => new Promise((resolve, reject) => {
+    const img = new Image();
+    // Bundled images are same-origin; hosted ones need CORS to stay readable
+    if (source.remote) img.crossOrigin = 'anonymous';
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Image failed to load: ${source.url}`));
+    img.src = source.url;
+  }),
+
+  json: async (source) => {
+    const response = await fetch(source.url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}: ${source.url}`);
+    return response.json();
+  },
+
+  // Resolves to the URL once the browser can read the file's metadata
+  audio: source => new Promise((resolve, reject) => {
+    const audio = new Audio();
+    audio.preload = 'metadata';
+    audio.onloadedmetadata = () => resolve(source.url);
+    audio.onerror = () => reject(new Error(`Audio failed to load: ${source.url}`));
+    audio.src = source.url;
+  })
+};
+
+/**
+ * Load an asset, bundled copy first
+ * Failed assets aren't remembered, so asking again tries again.
+ * @param {string} type - 'image', 'json' or 'audio'
+ * @param {string} folder - Asset folder (key of ASSET_CONFIG.FOLDERS)
+ * @param {string} file - File name within the folder
+ * @param {boolean} [hosted=false] - Not bundled, so only the hosted copy is tried
+ * @returns {Promise<object>} { url, value } - value is the image, parsed JSON or audio URL
+ */
+function loadAsset(type, folder, file, hosted = false) {
+  const key = `${type}:${folder}/${file}`;
+
+  if (!assetState.requests.has(key)) {
+    const request = fetchAsset(key, type, folder, file, hosted);
+    assetState.requests.set(key, request);
+    request.catch(() => assetState.requests.delete(key));
+  }
+
+  return assetState.requests.get(key);
+}
+
+/**
+ * Try each source in turn - the bundled copy once (a missing local file
+ * won't appear on a retry), then the hosted copy with retries
+ */
+async function fetchAsset(key, type, folder, file, hosted) {
+  const label = `${folder}/${file}`;
+  let lastError = null;
+
+  setAssetStatus(key, label, 'loading');
+
+  for (const source of getAssetSources(folder, file, hosted)) {
+    const attempts = source.remote ? 1 + ASSET_CONFIG.REMOTE_RETRIES : 1;
+
+    for (let attempt = 0; attempt < attempts; attempt++) {
+      if (attempt) await sleep(ASSET_CONFIG.RETRY_DELAY * 2 ** (attempt - 1));
+
+      try {
+        const value = await withAssetTimeout(ASSET_LOADERS[type](source));
+        setAssetStatus(key, label, source.remote ? 'remote' : 'local');
+        return { url: source.url, value };
+      } catch (e) {
+        lastError = e;
+      }
+    }
+  }
+
+  setAssetStatus(key, label, 'failed');
+  console.warn(`${label} could not be loaded:`, lastError);
+  throw lastError;
+}
+
+/**
+ * Bundled and hosted URLs for an asset, in the order they're tried
+ * @param {string} folder - Asset folder
+ * @param {string} file - File name
+ * @param {boolean} hosted - Skip the bundled copy (the file isn't bundled)
+ * @returns {Array<object>} [{ url, remote }]
+ */
+function getAssetSources(folder, file, hosted) {
+  const paths = ASSET_CONFIG.FOLDERS[folder];
+  if (!paths) throw new Error(`Unknown asset folder: ${folder}`);
+
+  const remote = { url: ASSET_CONFIG.REMOTE_BASE + encodeURI(paths.remote + file), remote: true };
+  if (hosted) return [remote];
+
+  return [{ url: getAssetUrl(folder, file), remote: false }, remote];
+}
+
+/**
+ * URL of an asset's bundled copy
+ * For places that need a URL straight away (e.g. Media Session artwork).
+ * @param {string} folder - Asset folder
+ * @param {string} file - File name
+ * @returns {string} Absolute URL
+ */
+function getAssetUrl(folder, file) {
+  const paths = ASSET_CONFIG.FOLDERS[folder];
+  return new URL(ASSET_CONFIG.LOCAL_BASE + encodeURI(paths.local + file), document.baseURI).href;
+}
+
+/**
+ * Reject if a load takes longer than ASSET_CONFIG.TIMEOUT
+ */
+function withAssetTimeout(promise) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Timed out')), ASSET_CONFIG.TIMEOUT);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Load the page's own images and icons
+ * Elements marked data-asset="folder/file" already point at the bundled
+ * copy; if that's missing they're switched to whichever copy loads.
+ */
+function loadPageAssets() {
+  document.querySelectorAll('[data-asset]').forEach((el) => {
+    const path = el.dataset.asset;
+    const slash = path.indexOf('/');
+    const attribute = el.tagName === 'LINK' ? 'href' : 'src';
+
+    loadAsset('image', path.slice(0, slash), path.slice(slash + 1))
+      .then(({ url }) => {
+        if (el[attribute] !== url) el[attribute] = url;
+      })
+      .catch(() => {});
+  });
+
+  document.getElementById('assetStatus').addEventListener('click', (e) => {
+    e.currentTarget.classList.remove('visible');
+  });
+}
+
+/**
+ * Record an asset's status and update the status pill
+ * @param {string} key - Asset key
+ * @param {string} label - Shown in the failure list
+ * @param {string} status - 'loading', 'local', 'remote' or 'failed'
+ */
+function setAssetStatus(key, label, status) {
+  assetState.assets.set(key, { label, status });
+  renderAssetStatus();
+}
+
+/**
+ * Show loading progress, then either a brief "loaded" note or the failures
+ * (hover for the list, click to dismiss)
+ */
+function renderAssetStatus() {
+  const pill = document.getElementById('assetStatus');
+  if (!pill) return;
+
+  const assets = [...assetState.assets.values()];
+  const loading = assets.filter(asset => asset.status === 'loading').length;
+  const remote = assets.filter(asset => asset.status === 'remote').length;
+  const failed = assets.filter(asset => asset.status === 'failed');
+
+  clearTimeout(assetState.hideTimer);
+  pill.classList.add('visible');
+  pill.classList.toggle('failed', failed.length > 0);
+  pill.title = failed.map(asset => asset.label).join('\n');
+
+  if (loading) {
+    pill.textContent = `Loading assets… ${assets.length - loading}/${assets.length}`;
+  } else if (failed.length) {
+    pill.textContent = `⚠️ ${failed.length} asset${failed.length === 1 ? '' : 's'} couldn't load`;
+  } else {
+    pill.textContent = remote
+      ? `Assets loaded (${remote} from the network)`
+      : 'All assets loaded';
+    assetState.hideTimer = setTimeout(() => {
+      pill.classList.remove('visible');
+    }, ASSET_CONFIG.STATUS_HIDE_DELAY);
+  }
+}
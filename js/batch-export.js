@@ -0,0 +1,225 @@
+/* ============================================================================
+BATCH-EXPORT.JS - Several Sizes & Formats in One ZIP
+
+This file exports whatever the export modal is set to (pattern, repeat unit,
+mockup or contact sheet) at every ticked size and format, and bundles the
+files into one ZIP archive:
+
+- Each file is rendered and encoded exactly as a single export would be,
+  DPI and credits included
+- manifest.json lists every file with its size and settings
+- The archive is written here in the browser (stored, not compressed -
+  PNG and JPEG are compressed already)
+============================================================================ */
+
+/**
+ * Export every size × format combination as one ZIP
+ * @param {string} target - 'pattern', 'repeat-unit', 'mockup' or 'contact-sheet'
+ * @param {Array<number>} sizes - Long sides in pixels
+ * @param {Array<string>} formats - 'png' and/or 'jpg'
+ * @param {object} options - { transparent, metadata }
+ *   transparent: leave mockup backgrounds clear (PNG only);
+ *   metadata: { dpi, author, copyright } written into every file
+ */
+function exportBatch(target, sizes, formats, options) {
+  if (!canvasState.tileImage || !sizes.length || !formats.length) return;
+
+  showLoading(false);
+
+  setTimeout(async () => {
+    const files = [];
+    const manifest = {
+      created: new Date().toISOString(),
+      target,
+      dpi: options.metadata.dpi,
+      author: options.metadata.author || undefined,
+      copyright: options.metadata.copyright || undefined,
+      repeatType: canvasState.repeatType,
+      files: []
+    };
+
+    try {
+      for (const size of sizes) {
+        // PNG and JPEG share a render unless only the PNG is transparent
+        let item = null;
+        let itemBackground;
+
+        for (const format of formats) {
+          const background = getExportBackground(format, options.transparent);
+          if (!item || background !== itemBackground) {
+            item = renderBatchItem(target, size, background, options.metadata.dpi);
+            itemBackground = background;
+          }
+          const blob = await encodeExportCanvas(item.canvas, format, options.metadata);
+          const { width, height } = item.canvas;
+          const fileName = `${item.name}.${format}`;
+
+          files.push({ name: fileName, data: new Uint8Array(await blob.arrayBuffer()) });
+          manifest.files.push({
+            name: fileName,
+            format,
+            width,
+            height,
+            bytes: blob.size,
+            dpi: options.metadata.dpi,
+            printInches: [
+              roundTo(pixelsToSize(width, options.metadata.dpi, 'in'), 2),
+              roundTo(pixelsToSize(height, options.metadata.dpi, 'in'), 2)
+            ],
+            printCm: [
+              roundTo(pixelsToSize(width, options.metadata.dpi, 'cm'), 1),
+              roundTo(pixelsToSize(height, options.metadata.dpi, 'cm'), 1)
+            ],
+            background: background || 'transparent'
+          });
+
+          // Let the page breathe between big renders
+          await new Promise(resolve => setTimeout(resolve, 0));
+        }
+      }
+
+      checkPodBatchFileSizes(manifest.files);
+
+      files.push({
+        name: 'manifest.json',
+        data: new TextEncoder().encode(JSON.stringify(manifest, null, 2))
+      });
+
+      await saveExportFile(
+        createZip(files),
+        `${EXPORT_CONFIG.FILENAME_PREFIX}-${target}-batch.zip`,
+        `${manifest.files.length} pattern files, ready to upload`
+      );
+    } catch (e) {
+      console.error('Batch export failed:', e);
+      alert('Export failed - try fewer or smaller sizes.');
+    }
+
+    hideLoading();
+  }, 100);
+}
+
+/**
+ * Render one file of a batch - the same render and name a single export uses
+ * @param {string} target - Export target (see exportBatch)
+ * @param {number} size - Long side in pixels
+ * @param {string|null} background - Fill for mockups and the contact sheet
+ * @param {number} dpi - Print DPI (part of the repeat unit's name)
+ * @returns {object} { canvas, name } - name without extension
+ */
+function renderBatchItem(target, size, background, dpi) {
+  if (target === 'repeat-unit') {
+    const unitSize = getRepeatUnitSize();
+    const img = canvasState.tileImage;
+    const unit = unitSize && renderRepeatUnit(img, img.width, img.height,
+      size / Math.max(unitSize.width, unitSize.height), EXPORT_CONFIG.MAX_SIZE);
+    if (!unit) throw new Error('Repeat unit is too large to export');
+
+    const { width, height } = unit.canvas;
+    return {
+      canvas: unit.canvas,
+      name: `${EXPORT_CONFIG.FILENAME_PREFIX}-repeat-${width}x${height}px-${Math.round(dpi)}dpi`
+    };
+  }
+
+  let canvas;
+  let name;
+  if (target === 'mockup') {
+    const key = canvasState.viewMode;
+    canvas = renderMockupExport(key, size, background);
+    name = `${EXPORT_CONFIG.FILENAME_PREFIX}-${key}-${canvas.width}x${canvas.height}px`;
+  } else if (target === 'contact-sheet') {
+    const entries = getContactSheetEntries();
+    const grid = getContactSheetExportGrid(entries.length, size, size);
+    canvas = renderContactSheet(entries, grid, { background, cached: false });
+    name = `${MOCKUP_CONFIG.CONTACT_SHEET.FILENAME_PREFIX}-${canvas.width}x${canvas.height}px`;
+  } else {
+    const { width, height } = getPatternExportSize(size);
+    canvas = renderPatternField(width, height);
+    name = `${EXPORT_CONFIG.FILENAME_PREFIX}-${width}x${height}px`;
+  }
+
+  return { canvas, name };
+}
+
+/* ==========================================================================
+ZIP WRITER
+========================================================================== */
+
+/**
+ * Build a ZIP archive (stored entries, UTF-8 names)
+ * @param {Array<object>} files - { name, data } with data as a Uint8Array
+ * @returns {Blob} application/zip
+ */
+function createZip(files) {
+  const { time, date } = getDosDateTime(new Date());
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(data);
+
+    // Local header: signature, version, UTF-8 flag, stored, time, date,
+    // CRC, sizes, name length, no extra field
+    const header = new Uint8Array(30 + nameBytes.length);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(4, 20, true);
+    view.setUint16(6, 0x0800, true);
+    view.setUint16(8, 0, true);
+    view.setUint16(10, time, true);
+    view.setUint16(12, date, true);
+    view.setUint32(14, crc, true);
+    view.setUint32(18, data.length, true);
+    view.setUint32(22, data.length, true);
+    view.setUint16(26, nameBytes.length, true);
+    view.setUint16(28, 0, true);
+    header.set(nameBytes, 30);
+
+    // Central directory entry pointing back at the local header
+    const entry = new Uint8Array(46 + nameBytes.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014b50, true);
+    entryView.setUint16(4, 20, true);
+    entryView.setUint16(6, 20, true);
+    entryView.setUint16(8, 0x0800, true);
+    entryView.setUint16(10, 0, true);
+    entryView.setUint16(12, time, true);
+    entryView.setUint16(14, date, true);
+    entryView.setUint32(16, crc, true);
+    entryView.setUint32(20, data.length, true);
+    entryView.setUint32(24, data.length, true);
+    entryView.setUint16(28, nameBytes.length, true);
+    entryView.setUint32(42, offset, true);
+    entry.set(nameBytes, 46);
+
+    parts.push(header, data);
+    directory.push(entry);
+    offset += header.length + data.length;
+  });
+
+  const directorySize = directory.reduce((total, entry) => total + entry.length, 0);
+
+  // End of central directory
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, directorySize, true);
+  endView.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+}
+
+/**
+ * Date and time in the MS-DOS format ZIP headers use
+ */
+function getDosDateTime(now) {
+  return {
+    time: (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2),
+    date: ((Math.max(1980, now.getFullYear()) - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate()
+  };
+}
@@ -3,8 +3,9 @@ CANVAS.JS - Canvas Drawing & Pattern Rendering
 
 This file handles all canvas-related operations:
 
-- Drawing patterns with different repeat types (full drop, half drop, brick)
-- Zooming and panning
+- Drawing patterns with different repeat types (full drop, half drop, brick, mirror, pinwheel)
+- Zooming and panning (redraws throttled to one per animation frame)
+- Filling the view from a pre-rendered repeat unit (CanvasPattern)
 - Mockup rendering (phone, tote, mug, etc.)
 - Grid overlays
 - Seamless edge testing
@@ -30,6 +31,7 @@ tileImage: null,
 
 // Transform settings
 scale: 1,              // Pattern scale (0.05 - 5.0)
+printDpi: CANVAS_CONFIG.DEFAULT_PRINT_DPI,  // Tile pixels per printed inch (at scale 1)
 offsetPercentX: 0,     // Horizontal offset (0 - 1)
 offsetPercentY: 0,     // Vertical offset (0 - 1)
 panX: 0,               // Pan position X
@@ -37,9 +39,11 @@ panY: 0,               // Pan position Y
 zoom: 1,               // Canvas zoom (0.01 - 8.0)
 
 // Display settings
-repeatType: ‘full’,    // ‘full’, ‘half-drop’, ‘brick’
-viewMode: ‘tile’,      // ‘tile’, ‘tile-grid’, ‘phone’, ‘tote’, etc.
-backgroundColor: ‘checker’,  // ‘checker’, ‘#000000’, ‘#ffffff’, etc.
+repeatType: 'full',    // 'full', 'half-drop', 'brick', 'mirror-h', 'rotate-90', 'hex', etc.
+dropRatio: 0.5,        // Drop/brick shift per column/row (0 - 1)
+latticeClip: true,     // Clip hex/diamond/ogee tiles to their cell shape
+viewMode: 'tile',      // 'tile', 'tile-grid', 'phone', 'tote', etc.
+backgroundColor: 'checker',  // 'checker', '#000000', '#ffffff', etc.
 
 // Quality settings
 maxCanvasSize: 1200,   // Canvas size in pixels
@@ -51,6 +55,16 @@ gridOverlaySize: 0,    // 0 = off, 1, 2, 6, 12 inches
 // Mockup settings
 mockupZoom: 1,
 mockupRotate: 0,
+mockupPlacements: getStorageItem(STORAGE_CONFIG.PLACEMENTS_KEY, {}),  // Pattern placement per mockup
+keyTolerance: MOCKUP_CONFIG.CHROMA_KEY.DEFAULT_TOLERANCE,  // Chroma key tolerance (0 - 100)
+mockupRealism: MOCKUP_CONFIG.DEFAULT_REALISM,  // Mockup shading strength (0 - 100)
+roomWall: getStorageItem(STORAGE_CONFIG.ROOM_WALL_KEY, ROOM_CONFIG.DEFAULT_WALL),  // Room mockup wall size
+fabricSubstrate: FABRIC_CONFIG.DEFAULT_SUBSTRATE,  // Fabric swatch cloth (key of FABRIC_CONFIG.SUBSTRATES)
+fabricDrape: false,    // Hang the fabric swatch in folds
+yardageWidth: YARDAGE_CONFIG.DEFAULT_WIDTH,    // Yardage view bolt width (inches)
+yardageLength: YARDAGE_CONFIG.DEFAULT_LENGTH,  // Yardage view length (yards)
+wallpaperRoll: WALLPAPER_CONFIG.DEFAULT_ROLL,  // Wallpaper view roll (key of WALLPAPER_CONFIG.ROLLS)
+wallpaperMatch: 'auto',  // 'auto' (from the repeat type), 'straight' or 'half-drop'
 
 // Drag state
 isDragging: false,
@@ -68,11 +82,11 @@ MAX_ZOOM: 8
 - Sets up canvas element, context, and event listeners
   */
   function initCanvas() {
-  canvasState.canvas = document.getElementById(‘canvas’);
-  canvasState.ctx = canvasState.canvas.getContext(‘2d’, {
+  canvasState.canvas = document.getElementById('canvas');
+  canvasState.ctx = canvasState.canvas.getContext('2d', {
   willReadFrequently: false  // Optimization for drawing
   });
-  canvasState.canvasWrapper = document.getElementById(‘canvas-wrapper’);
+  canvasState.canvasWrapper = document.getElementById('canvas-wrapper');
 
 // Initial canvas size
 resizeCanvas();
@@ -113,28 +127,33 @@ drawCanvas();
     */
     function setupCanvasEvents() {
     // Click to upload (if no image loaded)
-    canvasState.canvas.addEventListener(‘click’, () => {
+    canvasState.canvas.addEventListener('click', () => {
     if (!canvasState.tileImage && !canvasState.isDragging) {
-    document.getElementById(‘fileInput’).click();
+    document.getElementById('fileInput').click();
     }
     });
 
 // Pointer events for drag
-canvasState.canvas.addEventListener(‘pointerdown’, handlePointerDown);
-canvasState.canvas.addEventListener(‘pointermove’, handlePointerMove);
-canvasState.canvas.addEventListener(‘pointerup’, handlePointerUp);
-canvasState.canvas.addEventListener(‘pointerleave’, handlePointerUp);
+canvasState.canvas.addEventListener('pointerdown', handlePointerDown);
+canvasState.canvas.addEventListener('pointermove', handlePointerMove);
+canvasState.canvas.addEventListener('pointerup', handlePointerUp);
+canvasState.canvas.addEventListener('pointerleave', handlePointerUp);
 
 // Mouse wheel for zoom
-canvasState.canvas.addEventListener(‘wheel’, handleWheel, { passive: false });
+canvasState.canvas.addEventListener('wheel', handleWheel, { passive: false });
+
+// Double-click puts the pattern back in place inside a mockup
+canvasState.canvas.addEventListener('dblclick', () => {
+  if (isMockupView()) resetMockupPlacement(canvasState.viewMode);
+});
 
 // Touch pinch zoom
-canvasState.canvas.addEventListener(‘touchstart’, handleTouchStart, { passive: false });
-canvasState.canvas.addEventListener(‘touchmove’, handleTouchMove, { passive: false });
-canvasState.canvas.addEventListener(‘touchend’, handleTouchEnd);
+canvasState.canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
+canvasState.canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
+canvasState.canvas.addEventListener('touchend', handleTouchEnd);
 
 // Window resize
-window.addEventListener(‘resize’, resizeCanvas);
+window.addEventListener('resize', resizeCanvas);
 }
 
 /**
@@ -142,10 +161,20 @@ window.addEventListener(‘resize’, resizeCanvas);
 - Pointer down - start dragging
   */
   function handlePointerDown(e) {
-  if (!canvasState.tileImage ||
-  (canvasState.viewMode !== ‘tile’ && canvasState.viewMode !== ‘tile-grid’)) {
+  if (!canvasState.tileImage) return;
+
+// In a mockup, dragging moves the pattern inside the print area
+if (isMockupView()) {
+  canvasState.isDragging = true;
+  canvasState.dragStartX = e.clientX;
+  canvasState.dragStartY = e.clientY;
+  canvasState.canvas.setPointerCapture(e.pointerId);
   return;
-  }
+}
+
+if (canvasState.viewMode !== 'tile' && canvasState.viewMode !== 'tile-grid') {
+  return;
+}
 
 canvasState.isDragging = true;
 canvasState.dragStartX = e.clientX - canvasState.panX;
@@ -158,14 +187,22 @@ canvasState.canvas.setPointerCapture(e.pointerId);
 - Pointer move - handle dragging
   */
   function handlePointerMove(e) {
-  if (!canvasState.isDragging ||
-  (canvasState.viewMode !== ‘tile’ && canvasState.viewMode !== ‘tile-grid’)) {
+  if (!canvasState.isDragging) return;
+
+if (isMockupView()) {
+  dragMockupPattern(e.clientX - canvasState.dragStartX, e.clientY - canvasState.dragStartY);
+  canvasState.dragStartX = e.clientX;
+  canvasState.dragStartY = e.clientY;
   return;
-  }
+}
+
+if (canvasState.viewMode !== 'tile' && canvasState.viewMode !== 'tile-grid') {
+  return;
+}
 
 canvasState.panX = e.clientX - canvasState.dragStartX;
 canvasState.panY = e.clientY - canvasState.dragStartY;
-drawCanvas();
+requestDraw();
 }
 
 /**
@@ -199,6 +236,12 @@ if (isInDeadZone) return;
 
 e.preventDefault();
 
+// In a mockup, the wheel scales the pattern inside the print area
+if (isMockupView()) {
+  scaleMockupPattern(e.deltaY < 0 ? MOCKUP_CONFIG.PLACEMENT.WHEEL_STEP : 1 / MOCKUP_CONFIG.PLACEMENT.WHEEL_STEP);
+  return;
+}
+
 // Zoom factor based on wheel delta
 const zoomFactor = e.deltaY < 0 ? 1.1 : 0.9;
 
@@ -217,7 +260,7 @@ canvasState.zoom = newZoom;
 
 // Update zoom slider UI
 updateZoomSlider();
-drawCanvas();
+requestDraw();
 }
 
 /**
@@ -269,7 +312,9 @@ drawCanvas();
   touch2.clientY - touch1.clientY
   );
   
-  if (lastTouchDistance > 0) {
+  if (lastTouchDistance > 0 && isMockupView()) {
+  scaleMockupPattern(currentDistance / lastTouchDistance);
+  } else if (lastTouchDistance > 0) {
   const zoomFactor = currentDistance / lastTouchDistance;
   const centerX = ((touch1.clientX + touch2.clientX) / 2) - rect.left;
   const centerY = ((touch1.clientY + touch2.clientY) / 2) - rect.top;
@@ -286,7 +331,7 @@ drawCanvas();
   canvasState.zoom = newZoom;
   
   updateZoomSlider();
-  drawCanvas();
+  requestDraw();
   }
   
   lastTouchDistance = currentDistance;
@@ -301,6 +346,92 @@ drawCanvas();
   lastTouchDistance = 0;
   }
 
+/**
+ * Move the pattern inside the current mockup by a screen drag
+ * The drag is turned back through the mockup's rotation so the pattern
+ * follows the pointer however the mockup is turned.
+ * @param {number} dx - Pointer movement X (CSS pixels)
+ * @param {number} dy - Pointer movement Y (CSS pixels)
+ */
+function dragMockupPattern(dx, dy) {
+  const size = getMockupDisplaySize();
+  if (size < 1) return;
+
+  const rect = canvasState.canvas.getBoundingClientRect();
+  const pixels = canvasState.canvas.width / rect.width;
+  const angle = -canvasState.mockupRotate * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const key = canvasState.viewMode;
+  const placement = getMockupPlacement(key);
+
+  updateMockupPlacement(key, {
+    x: placement.x + (dx * cos - dy * sin) * pixels / size,
+    y: placement.y + (dx * sin + dy * cos) * pixels / size
+  });
+}
+
+/**
+ * Scale the pattern inside the current mockup (wheel / pinch)
+ * @param {number} factor - Scale change (> 1 grows the pattern)
+ */
+function scaleMockupPattern(factor) {
+  const key = canvasState.viewMode;
+  updateMockupPlacement(key, { scale: getMockupPlacement(key).scale * factor });
+}
+
+/**
+ * Pending animation frame for requestDraw()
+ */
+let drawFrameId = null;
+
+/**
+ * Redraw on the next animation frame
+ * Use for pointer, wheel and slider input so bursts of events draw once per frame.
+ */
+function requestDraw() {
+  if (drawFrameId !== null) return;
+
+  drawFrameId = requestAnimationFrame(() => {
+    drawFrameId = null;
+    drawCanvas();
+  });
+}
+
+/**
+ * Signature of everything a cached view render depends on
+ * The tile counts by identity (a new image bumps state.tileVersion), the
+ * rest by value.
+ * @param {object} state - View state with { tileImage, tileVersion }
+ * @param {Array} parts - The render's other inputs
+ * @returns {string} Signature
+ */
+function getRenderSignature(state, parts) {
+  if (state.tileImage !== canvasState.tileImage) {
+    state.tileImage = canvasState.tileImage;
+    state.tileVersion++;
+  }
+
+  return JSON.stringify([state.tileVersion, ...parts]);
+}
+
+/**
+ * Render a view again only when its inputs change
+ * @param {object} state - View state with { cached, signature, tileImage, tileVersion }
+ * @param {Array} parts - The render's inputs besides the tile (see getRenderSignature())
+ * @param {Function} render - Makes a new render
+ * @returns {*} The cached or new render
+ */
+function getCachedRender(state, parts, render) {
+  const signature = getRenderSignature(state, parts);
+
+  if (state.signature !== signature) {
+    state.cached = render();
+    state.signature = signature;
+  }
+  return state.cached;
+}
+
 /**
 
 - Main draw function
@@ -326,17 +457,17 @@ showEmptyState(false);
 updateCanvasClass(true);
 enableExportButton();
 
-const tileSize = canvasState.tileImage.width * canvasState.scale;
-const showGrid = canvasState.viewMode === ‘tile-grid’;
+const tile = getTileSize();
+const showGrid = canvasState.viewMode === 'tile-grid';
 
 // Enable high quality rendering
 ctx.imageSmoothingEnabled = true;
-ctx.imageSmoothingQuality = ‘high’;
+ctx.imageSmoothingQuality = 'high';
 ctx.save();
 
 // Render based on view mode
-if (canvasState.viewMode === ‘tile’ || canvasState.viewMode === ‘tile-grid’) {
-drawTiledPattern(ctx, tileSize, showGrid);
+if (canvasState.viewMode === 'tile' || canvasState.viewMode === 'tile-grid') {
+drawTiledPattern(ctx, tile.width, tile.height, showGrid);
 } else {
 drawMockup(ctx);
 }
@@ -348,123 +479,223 @@ ctx.restore();
 
 - Draw tiled pattern (infinite repeat)
   */
-  function drawTiledPattern(ctx, tileSize, showGrid) {
+  function drawTiledPattern(ctx, tileW, tileH, showGrid) {
   ctx.translate(canvasState.panX, canvasState.panY);
   ctx.scale(canvasState.zoom, canvasState.zoom);
 
 // Calculate visible tiles
-const tilesX = Math.ceil(canvasState.canvas.width / tileSize / canvasState.zoom) + 6;
-const tilesY = Math.ceil(canvasState.canvas.height / tileSize / canvasState.zoom) + 6;
-const startTileX = Math.floor(-canvasState.panX / (tileSize * canvasState.zoom)) - 3;
-const startTileY = Math.floor(-canvasState.panY / (tileSize * canvasState.zoom)) - 3;
-
-// Draw tiles
+const rowH = getRowPitch(tileH);
+const tilesX = Math.ceil(canvasState.canvas.width / tileW / canvasState.zoom) + 6;
+const tilesY = Math.ceil(canvasState.canvas.height / rowH / canvasState.zoom) + 6;
+const startTileX = Math.floor(-canvasState.panX / (tileW * canvasState.zoom)) - 3;
+const startTileY = Math.floor(-canvasState.panY / (rowH * canvasState.zoom)) - 3;
+
+// Fill with the pre-rendered repeat unit, or draw tiles one by one
+// when the unit is too large (zoomed right in, odd custom drops)
+const fill = getRepeatFill(ctx, tileW, tileH);
+
+if (fill) {
+fillWithRepeat(ctx, fill, tileW, tileH);
+} else {
 for (let i = startTileX; i < startTileX + tilesX; i++) {
 for (let j = startTileY; j < startTileY + tilesY; j++) {
-let drawX = i * tileSize + canvasState.offsetPercentX * tileSize;
-let drawY = j * tileSize + canvasState.offsetPercentY * tileSize;
+let drawX = i * tileW + canvasState.offsetPercentX * tileW;
+let drawY = j * rowH + canvasState.offsetPercentY * tileH;
 
-```
   // Apply repeat type offset
-  if (canvasState.repeatType === 'half-drop') {
-    drawY += (Math.abs(i) % 2 === 1) ? tileSize / 2 : 0;
-  } else if (canvasState.repeatType === 'brick') {
-    drawX += (Math.abs(j) % 2 === 1) ? tileSize / 2 : 0;
-  }
+  const repeatOffset = getRepeatOffset(i, j, tileW, tileH);
+  drawX += repeatOffset.x;
+  drawY += repeatOffset.y;
   
-  ctx.drawImage(canvasState.tileImage, drawX, drawY, tileSize, tileSize);
+  drawRepeatTile(ctx, canvasState.tileImage, drawX, drawY, tileW, tileH, i, j);
 }
-```
 
+}
 }
 
 // Draw grid overlay if enabled
 if (showGrid) {
-drawTileGrid(ctx, tileSize, startTileX, startTileY, tilesX, tilesY);
+drawTileGrid(ctx, tileW, tileH, startTileX, startTileY, tilesX, tilesY);
 }
 
 // Draw seamless test overlay if enabled
 if (canvasState.seamlessTestMode) {
-drawSeamlessTest(ctx, tileSize, startTileX, startTileY, tilesX, tilesY);
+drawSeamlessTest(ctx, tileW, tileH, startTileX, startTileY, tilesX, tilesY);
 }
 
 // Draw grid overlay (inch markers) if enabled
 if (canvasState.gridOverlaySize > 0) {
-drawGridOverlay(ctx, tileSize);
+drawGridOverlay(ctx);
+}
+}
+
+/**
+ * Repeat unit pattern cache
+ * Rebuilt when the tile, its size, the zoom or the repeat layout changes;
+ * panning only moves the pattern transform.
+ */
+const repeatFillCache = {
+  image: null,
+  key: '',
+  fill: null
+};
+
+/**
+ * Get a CanvasPattern of the current repeat unit at screen resolution
+ * @param {CanvasRenderingContext2D} ctx - Context the pattern will fill
+ * @param {number} tileW - Tile width in pixels
+ * @param {number} tileH - Tile height in pixels
+ * @returns {object|null} { pattern, unit } or null to fall back to drawing tiles
+ */
+function getRepeatFill(ctx, tileW, tileH) {
+  const key = [
+    tileW, tileH, canvasState.zoom, canvasState.repeatType,
+    canvasState.dropRatio, canvasState.latticeClip
+  ].join(':');
+
+  if (repeatFillCache.image === canvasState.tileImage && repeatFillCache.key === key) {
+    return repeatFillCache.fill;
+  }
+
+  const unit = renderRepeatUnit(canvasState.tileImage, tileW, tileH, canvasState.zoom);
+  const pattern = unit ? ctx.createPattern(unit.canvas, 'repeat') : null;
+
+  repeatFillCache.image = canvasState.tileImage;
+  repeatFillCache.key = key;
+  repeatFillCache.fill = pattern ? { pattern, unit } : null;
+  return repeatFillCache.fill;
 }
+
+/**
+ * Fill the visible area with the repeat unit pattern
+ * Expects the context already panned and zoomed.
+ */
+function fillWithRepeat(ctx, fill, tileW, tileH) {
+  const { pattern, unit } = fill;
+  const zoom = canvasState.zoom;
+
+  // Unit origin sits on tile (0, 0); the bitmap is scaled back to tile pixels
+  pattern.setTransform(new DOMMatrix()
+    .translateSelf(canvasState.offsetPercentX * tileW, canvasState.offsetPercentY * tileH)
+    .scaleSelf(unit.width / unit.canvas.width, unit.height / unit.canvas.height));
+
+  ctx.fillStyle = pattern;
+  ctx.fillRect(
+    -canvasState.panX / zoom,
+    -canvasState.panY / zoom,
+    canvasState.canvas.width / zoom,
+    canvasState.canvas.height / zoom
+  );
 }
 
 /**
 
 - Draw grid lines between tiles
   */
-  function drawTileGrid(ctx, tileSize, startTileX, startTileY, tilesX, tilesY) {
-  ctx.strokeStyle = ‘rgba(255, 255, 255, 0.4)’;
+  function drawTileGrid(ctx, tileW, tileH, startTileX, startTileY, tilesX, tilesY) {
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
   ctx.lineWidth = 1 / canvasState.zoom;
 
+if (isLatticeRepeat()) {
+strokeLatticeCells(ctx, tileW, tileH, startTileX, startTileY, tilesX, tilesY);
+return;
+}
+
 // Vertical lines
 for (let i = startTileX; i < startTileX + tilesX + 1; i++) {
-let lineX = i * tileSize + canvasState.offsetPercentX * tileSize;
+let lineX = i * tileW + canvasState.offsetPercentX * tileW;
 ctx.beginPath();
-ctx.moveTo(lineX, startTileY * tileSize - tileSize);
-ctx.lineTo(lineX, (startTileY + tilesY + 1) * tileSize);
+ctx.moveTo(lineX, startTileY * tileH - tileH);
+ctx.lineTo(lineX, (startTileY + tilesY + 1) * tileH);
 ctx.stroke();
 }
 
 // Horizontal lines
 for (let j = startTileY; j < startTileY + tilesY + 1; j++) {
-let lineY = j * tileSize + canvasState.offsetPercentY * tileSize;
+let lineY = j * tileH + canvasState.offsetPercentY * tileH;
 ctx.beginPath();
-ctx.moveTo(startTileX * tileSize - tileSize, lineY);
-ctx.lineTo((startTileX + tilesX + 1) * tileSize, lineY);
+ctx.moveTo(startTileX * tileW - tileW, lineY);
+ctx.lineTo((startTileX + tilesX + 1) * tileW, lineY);
 ctx.stroke();
 }
 }
 
 /**
+ * Draw seamless test (seam heatmap overlay)
+ * Paints each seam green where the edges match and red where they break.
+ * Falls back to red tile edges if the tile's pixels can't be read.
+ */
+function drawSeamlessTest(ctx, tileW, tileH, startTileX, startTileY, tilesX, tilesY) {
+  const heatmaps = getSeamHeatmaps();
+  const band = SEAM_CONFIG.HEATMAP_WIDTH / canvasState.zoom;
 
-- Draw seamless test (red edge overlay)
-- Highlights tile edges to check for seamless alignment
-  */
-  function drawSeamlessTest(ctx, tileSize, startTileX, startTileY, tilesX, tilesY) {
   ctx.save();
-  ctx.strokeStyle = ‘rgba(255, 0, 0, 0.8)’;
+  ctx.imageSmoothingEnabled = false;
+  ctx.strokeStyle = 'rgba(255, 0, 0, 0.8)';
   ctx.lineWidth = 3 / canvasState.zoom;
 
-for (let i = startTileX; i < startTileX + tilesX; i++) {
-for (let j = startTileY; j < startTileY + tilesY; j++) {
-let drawX = i * tileSize + canvasState.offsetPercentX * tileSize;
-let drawY = j * tileSize + canvasState.offsetPercentY * tileSize;
-
-```
-  if (canvasState.repeatType === 'half-drop') {
-    drawY += (Math.abs(i) % 2 === 1) ? tileSize / 2 : 0;
-  } else if (canvasState.repeatType === 'brick') {
-    drawX += (Math.abs(j) % 2 === 1) ? tileSize / 2 : 0;
+  // Lattice seams follow the cell shape, so outline the cells instead
+  if (isLatticeRepeat()) {
+    strokeLatticeCells(ctx, tileW, tileH, startTileX, startTileY, tilesX, tilesY);
+    ctx.restore();
+    return;
   }
-  
-  ctx.strokeRect(drawX, drawY, tileSize, tileSize);
-}
-```
 
+  for (let i = startTileX; i < startTileX + tilesX; i++) {
+    for (let j = startTileY; j < startTileY + tilesY; j++) {
+      let drawX = i * tileW + canvasState.offsetPercentX * tileW;
+      let drawY = j * tileH + canvasState.offsetPercentY * tileH;
+
+      const repeatOffset = getRepeatOffset(i, j, tileW, tileH);
+      drawX += repeatOffset.x;
+      drawY += repeatOffset.y;
+
+      if (!heatmaps) {
+        ctx.strokeRect(drawX, drawY, tileW, tileH);
+        continue;
+      }
+
+      // Each tile paints its right and bottom seams, so every seam is drawn once
+      const strips = heatmaps[mod(i, 2)][mod(j, 2)];
+      ctx.drawImage(strips.vertical, drawX + tileW - band / 2, drawY, band, tileH);
+      ctx.drawImage(strips.horizontal, drawX, drawY + tileH - band / 2, tileW, band);
+    }
+  }
+
+  ctx.restore();
 }
 
-ctx.restore();
+/**
+ * Outline every visible hex/diamond/ogee cell with the current stroke style
+ */
+function strokeLatticeCells(ctx, tileW, tileH, startTileX, startTileY, tilesX, tilesY) {
+  const rowH = getRowPitch(tileH);
+
+  for (let i = startTileX; i < startTileX + tilesX; i++) {
+    for (let j = startTileY; j < startTileY + tilesY; j++) {
+      const repeatOffset = getRepeatOffset(i, j, tileW, tileH);
+      const drawX = i * tileW + canvasState.offsetPercentX * tileW + repeatOffset.x;
+      const drawY = j * rowH + canvasState.offsetPercentY * tileH + repeatOffset.y;
+
+      traceLatticeCell(ctx, drawX, drawY, tileW, tileH);
+      ctx.stroke();
+    }
+  }
 }
 
 /**
 
 - Draw measurement grid overlay (inches)
   */
-  function drawGridOverlay(ctx, tileSize) {
+  function drawGridOverlay(ctx) {
   if (canvasState.gridOverlaySize === 0) return;
 
 ctx.save();
-ctx.strokeStyle = ‘rgba(255, 255, 255, 0.5)’;
+ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
 ctx.lineWidth = 2 / canvasState.zoom;
 ctx.setLineDash([5 / canvasState.zoom, 5 / canvasState.zoom]);
 
-const dpi = 150;
+const dpi = canvasState.printDpi;
 const gridPixelSize = canvasState.gridOverlaySize * dpi;
 
 const startX = Math.floor(-canvasState.panX / canvasState.zoom / gridPixelSize) * gridPixelSize;
@@ -498,140 +729,55 @@ ctx.restore();
   function drawMockup(ctx) {
   ctx.translate(canvasState.canvas.width / 2, canvasState.canvas.height / 2);
 
-const mockups = {
-phone: mockupImages.phone,
-ipad: mockupImages.ipad,
-tote: mockupImages.tote,
-bandana: mockupImages.bandana,
-bedspread: mockupImages.bedspread,
-mug: mockupImages.mug,
-bottle: mockupImages.bottle,
-sweatshirt: mockupImages.sweatshirt
-};
-
-if (mockups[canvasState.viewMode]) {
-drawMockupWithPattern(ctx, mockups[canvasState.viewMode]);
-} else if (canvasState.viewMode === ‘fabric’) {
+const mockupImg = mockupImages[canvasState.viewMode];
+
+if (mockupImg) {
+drawMockupWithPattern(ctx, canvasState.viewMode, mockupImg);
+} else if (canvasState.viewMode === 'all-mockups') {
+drawContactSheet(ctx);
+} else if (canvasState.viewMode === 'room') {
+drawRoomScene(ctx);
+} else if (canvasState.viewMode === 'yardage') {
+drawYardage(ctx);
+} else if (canvasState.viewMode === 'wallpaper') {
+drawWallpaperStrips(ctx);
+} else if (canvasState.viewMode === 'fabric') {
 drawFabricSwatch(ctx);
 }
 }
 
 /**
-
-- Draw mockup with pattern overlay
-- Replaces green screen in mockup with pattern
-  */
-  function drawMockupWithPattern(ctx, mockupImg) {
-  if (!mockupImg || !mockupImg.complete || !mockupImg.naturalWidth) return;
-
-const displaySize = Math.min(
-canvasState.canvas.width,
-canvasState.canvas.height
-) * 0.72 * canvasState.mockupZoom;
-
-// Create mockup canvas
-const mockupCanvas = document.createElement(‘canvas’);
-mockupCanvas.width = displaySize;
-mockupCanvas.height = displaySize;
-const mockupCtx = mockupCanvas.getContext(‘2d’);
-mockupCtx.drawImage(mockupImg, 0, 0, displaySize, displaySize);
-
-const mockupData = mockupCtx.getImageData(0, 0, displaySize, displaySize);
-const pixels = mockupData.data;
-
-// Create pattern canvas
-const patternCanvas = document.createElement(‘canvas’);
-patternCanvas.width = displaySize;
-patternCanvas.height = displaySize;
-const patternCtx = patternCanvas.getContext(‘2d’);
-
-patternCtx.save();
-patternCtx.translate(displaySize / 2, displaySize / 2);
-patternCtx.scale(canvasState.zoom, canvasState.zoom);
-patternCtx.translate(-displaySize / 2, -displaySize / 2);
-drawPatternToContext(patternCtx, 0, 0, displaySize, displaySize,
-canvasState.tileImage.width * canvasState.scale);
-patternCtx.restore();
-
-const patternData = patternCtx.getImageData(0, 0, displaySize, displaySize);
-const patternPixels = patternData.data;
-
-// Replace green pixels with pattern
-for (let i = 0; i < pixels.length; i += 4) {
-const r = pixels[i];
-const g = pixels[i + 1];
-const b = pixels[i + 2];
-const a = pixels[i + 3];
-
-```
-// Detect bright green (chroma key)
-const isGreen = (g > 200) && (g > r + 50) && (g > b + 50) && (r < 50) && (b < 50) && (a > 0);
-
-if (isGreen) {
-  pixels[i] = patternPixels[i];
-  pixels[i + 1] = patternPixels[i + 1];
-  pixels[i + 2] = patternPixels[i + 2];
-  pixels[i + 3] = patternPixels[i + 3];
-}
-```
-
-}
-
-mockupCtx.putImageData(mockupData, 0, 0);
-
-// Draw rotated mockup
-ctx.rotate(canvasState.mockupRotate * Math.PI / 180);
-ctx.drawImage(mockupCanvas, -displaySize / 2, -displaySize / 2);
+ * Size the mockup is drawn at on the canvas
+ * @returns {number} Display size in pixels
+ */
+function getMockupDisplaySize() {
+  return Math.round(Math.min(
+    canvasState.canvas.width,
+    canvasState.canvas.height
+  ) * MOCKUP_CONFIG.DISPLAY_SIZE_PERCENT * canvasState.mockupZoom);
 }
 
 /**
+ * Draw mockup with pattern overlay
+ * Replaces green screen in mockup with pattern. Compositing happens in
+ * mockups.js / compositor.js; rotation is applied here so turning the
+ * mockup never re-composites it.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (centred)
+ * @param {string} mockupKey - Mockup name (e.g. 'tote')
+ * @param {HTMLImageElement} mockupImg - Mockup image
+ */
+function drawMockupWithPattern(ctx, mockupKey, mockupImg) {
+  if (!mockupImg || !mockupImg.complete || !mockupImg.naturalWidth) return;
 
-- Draw fabric swatch mockup
-  */
-  function drawFabricSwatch(ctx) {
-  const maxSize = Math.min(canvasState.canvas.width, canvasState.canvas.height) * 0.6;
-  const fabricWidth = maxSize * 0.95;
-  const fabricHeight = fabricWidth * 0.8;
-
-ctx.save();
-roundedRect(ctx, -fabricWidth / 2, -fabricHeight / 2, fabricWidth, fabricHeight, 15);
-ctx.fillStyle = ‘#2a2a2a’;
-ctx.fill();
-ctx.strokeStyle = ‘#444’;
-ctx.lineWidth = 2;
-ctx.stroke();
-ctx.clip();
-
-drawPatternToContext(ctx, -fabricWidth / 2, -fabricHeight / 2, fabricWidth, fabricHeight,
-canvasState.tileImage.width * canvasState.scale);
-ctx.restore();
-}
-
-/**
+  const displaySize = getMockupDisplaySize();
+  if (displaySize < 1) return;
 
-- Helper: Draw pattern to any context
-  */
-  function drawPatternToContext(ctx, startX, startY, width, height, tileSize) {
-  const tilesX = Math.ceil(width / tileSize) + 4;
-  const tilesY = Math.ceil(height / tileSize) + 4;
-
-for (let i = -2; i < tilesX; i++) {
-for (let j = -2; j < tilesY; j++) {
-let drawX = startX + i * tileSize + canvasState.offsetPercentX * tileSize;
-let drawY = startY + j * tileSize + canvasState.offsetPercentY * tileSize;
-
-```
-  if (canvasState.repeatType === 'half-drop') {
-    drawY += (Math.abs(i) % 2 === 1) ? tileSize / 2 : 0;
-  } else if (canvasState.repeatType === 'brick') {
-    drawX += (Math.abs(j) % 2 === 1) ? tileSize / 2 : 0;
-  }
-  
-  ctx.drawImage(canvasState.tileImage, drawX, drawY, tileSize, tileSize);
-}
-```
+  const frame = getMockupFrame(mockupKey, mockupImg, displaySize);
+  if (!frame) return;
 
-}
+  // Draw rotated mockup (a frame still catching up on a zoom change is stretched to fit)
+  ctx.rotate(canvasState.mockupRotate * Math.PI / 180);
+  ctx.drawImage(frame, -displaySize / 2, -displaySize / 2, displaySize, displaySize);
 }
 
 /**
@@ -658,18 +804,18 @@ let drawY = startY + j * tileSize + canvasState.offsetPercentY * tileSize;
   */
   function updateBackground() {
   if (canvasState.tileImage) {
-  if (canvasState.backgroundColor === ‘checker’) {
+  if (canvasState.backgroundColor === 'checker') {
   canvasState.canvas.style.background =
-  ‘repeating-conic-gradient(#ccc 0% 25%, #999 0% 50%, #ccc 50% 75%, #999 75% 100%)’;
-  canvasState.canvas.style.backgroundSize = ‘40px 40px’;
+  'repeating-conic-gradient(#ccc 0% 25%, #999 0% 50%, #ccc 50% 75%, #999 75% 100%)';
+  canvasState.canvas.style.backgroundSize = '40px 40px';
   } else {
   canvasState.canvas.style.background = canvasState.backgroundColor;
-  canvasState.canvas.style.backgroundSize = ‘100% 100%’;
+  canvasState.canvas.style.backgroundSize = '100% 100%';
   }
   } else {
   canvasState.canvas.style.background =
-  ‘repeating-conic-gradient(#2a2a2a 0% 25%, #1a1a1a 0% 50%, #2a2a2a 50% 75%, #1a1a1a 75% 100%)’;
-  canvasState.canvas.style.backgroundSize = ‘40px 40px’;
+  'repeating-conic-gradient(#2a2a2a 0% 25%, #1a1a1a 0% 50%, #2a2a2a 50% 75%, #1a1a1a 75% 100%)';
+  canvasState.canvas.style.backgroundSize = '40px 40px';
   }
   }
 
@@ -678,32 +824,32 @@ let drawY = startY + j * tileSize + canvasState.offsetPercentY * tileSize;
 - UI helper functions
   */
   function showEmptyState(show) {
-  const emptyState = document.getElementById(‘emptyState’);
+  const emptyState = document.getElementById('emptyState');
   if (show) {
-  emptyState.classList.add(‘visible’);
+  emptyState.classList.add('visible');
   } else {
-  emptyState.classList.remove(‘visible’);
+  emptyState.classList.remove('visible');
   }
   }
 
 function updateCanvasClass(hasImage) {
 if (hasImage) {
-canvasState.canvas.classList.add(‘has-image’);
+canvasState.canvas.classList.add('has-image');
 } else {
-canvasState.canvas.classList.remove(‘has-image’);
+canvasState.canvas.classList.remove('has-image');
 }
 }
 
 function disableExportButton() {
-document.getElementById(‘exportBtnHeader’).disabled = true;
+document.getElementById('exportBtnHeader').disabled = true;
 }
 
 function enableExportButton() {
-document.getElementById(‘exportBtnHeader’).disabled = false;
+document.getElementById('exportBtnHeader').disabled = false;
 }
 
 function updateCanvasInfo() {
-document.getElementById(‘infoCanvas’).textContent = `${canvasState.maxCanvasSize}px`;
+document.getElementById('infoCanvas').textContent = `${canvasState.maxCanvasSize}px`;
 }
 
 function updateZoomSlider() {
@@ -716,6 +862,6 @@ sliderVal = Math.round(((zoomPercent - 1) / 99) * 50);
 sliderVal = Math.round(50 + ((zoomPercent - 100) / 700) * 50);
 }
 
-document.getElementById(‘zoomSlider’).value = sliderVal;
-document.getElementById(‘zoomValue’).textContent = zoomPercent + ‘%’;
+document.getElementById('zoomSlider').value = sliderVal;
+document.getElementById('zoomValue').textContent = zoomPercent + '%';
 }
\ No newline at end of file
@@ -0,0 +1,391 @@
+/* ============================================================================
+COMPOSITOR.JS - Mockup Compositing
+
+This file puts the pattern onto a mockup's green screen:
+
+- Soft chroma key (any key color, tolerance, spill suppression) or an
+  explicit alpha mask image
+- Mask layers (key area + mockup with the key faded out), built once per
+  mockup, display size and key setting and cached
+- Shading layers (the key area's own folds, shadows and highlights) laid
+  over the pattern with multiply / screen, scaled by the realism setting
+- The pattern layer, bent through the mockup's warp (warp.js)
+- Compositing with canvas blend modes instead of per-pixel loops
+
+It has no DOM access, so the same code runs on the page and inside
+mockup-worker.js.
+============================================================================ */
+
+/**
+ * Mask layer cache
+ * Keyed by mockup, display size and key setting, oldest entries dropped first
+ */
+const compositorCache = {
+  layers: new Map()
+};
+
+/**
+ * Get the mask layers for a mockup at a display size (cached)
+ * @param {string} mockupKey - Mockup name (e.g. 'tote')
+ * @param {CanvasImageSource} mockupImg - Mockup image
+ * @param {number} size - Display size in pixels
+ * @param {object} keying - { color, tolerance, mask } from getMockupKeying()
+ * @returns {object|null} { mask, base, shadow, highlight } or null if the mockup can't be read
+ */
+function getMockupLayers(mockupKey, mockupImg, size, keying) {
+  const keyId = keying.mask ? 'mask' : `${keying.color}:${keying.tolerance}`;
+  const cacheKey = `${mockupKey}:${size}:${keyId}`;
+  const cached = compositorCache.layers.get(cacheKey);
+  if (cached) return cached;
+
+  const layers = buildMockupLayers(mockupImg, size, keying);
+  if (!layers) return null;
+
+  compositorCache.layers.set(cacheKey, layers);
+  if (compositorCache.layers.size > MOCKUP_CONFIG.LAYER_CACHE_SIZE) {
+    compositorCache.layers.delete(compositorCache.layers.keys().next().value);
+  }
+
+  return layers;
+}
+
+/**
+ * Drop every cached layer set of a mockup
+ * @param {string} mockupKey - Mockup name
+ */
+function forgetMockupLayers(mockupKey) {
+  for (const cacheKey of [...compositorCache.layers.keys()]) {
+    if (cacheKey.startsWith(`${mockupKey}:`)) compositorCache.layers.delete(cacheKey);
+  }
+}
+
+/**
+ * Split a mockup into its key mask and everything else
+ * This is the only per-pixel pass - it runs once per mockup, size and key.
+ * The mask holds the mockup's alpha wherever any pattern shows through; the
+ * base holds the mockup faded out by the key amount, so edge pixels blend
+ * pattern and mockup instead of leaving a fringe.
+ * @param {CanvasImageSource} mockupImg - Mockup image
+ * @param {number} size - Display size in pixels
+ * @param {object} keying - { color, tolerance, mask }
+ * @returns {object|null} { mask, base, shadow, highlight } canvases
+ */
+function buildMockupLayers(mockupImg, size, keying) {
+  const mockupData = readPixels(mockupImg, size);
+  if (!mockupData) return null;
+
+  const maskSource = keying.mask ? readPixels(keying.mask, size) : null;
+  const amounts = maskSource
+    ? getMaskAmounts(maskSource.data)
+    : getKeyAmounts(mockupData.data, keying);
+
+  const pixels = mockupData.data;
+  const { shadow, highlight } = buildShadingLayers(pixels, amounts, size);
+  const maskData = new ImageData(size, size);
+  const maskPixels = maskData.data;
+
+  for (let p = 0, i = 0; i < pixels.length; p++, i += 4) {
+    const amount = amounts[p];
+    if (amount <= 0) continue;
+
+    maskPixels[i + 3] = pixels[i + 3];
+    pixels[i + 3] = Math.round(pixels[i + 3] * (1 - amount));
+  }
+
+  const base = createOffscreenCanvas(size, size);
+  base.getContext('2d').putImageData(mockupData, 0, 0);
+
+  const mask = createOffscreenCanvas(size, size);
+  mask.getContext('2d').putImageData(maskData, 0, 0);
+
+  return { mask, base, shadow, highlight };
+}
+
+/**
+ * Pull the shading out of the key area
+ * Brightness is measured against the key area's median: darker pixels go
+ * into the shadow layer (multiplied), brighter ones into the highlight
+ * layer (screened). A flat key gives layers that change nothing.
+ * @param {Uint8ClampedArray} pixels - Mockup RGBA pixels
+ * @param {Float32Array} amounts - Pattern amount per pixel
+ * @param {number} size - Display size in pixels
+ * @returns {object} { shadow, highlight } canvases
+ */
+function buildShadingLayers(pixels, amounts, size) {
+  const luminance = new Uint8Array(amounts.length);
+  const histogram = new Uint32Array(256);
+  let count = 0;
+
+  for (let p = 0, i = 0; p < amounts.length; p++, i += 4) {
+    if (amounts[p] <= 0) continue;
+    luminance[p] = Math.round(0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]);
+    histogram[luminance[p]]++;
+    count++;
+  }
+
+  // Median brightness of the key area = "no shading"
+  let reference = 0;
+  for (let seen = 0; reference < 255; reference++) {
+    seen += histogram[reference];
+    if (seen * 2 >= count) break;
+  }
+  reference = Math.max(1, Math.min(254, reference));
+
+  const shadowData = new ImageData(size, size);
+  const highlightData = new ImageData(size, size);
+  const shadowPixels = shadowData.data;
+  const highlightPixels = highlightData.data;
+
+  for (let p = 0, i = 0; p < amounts.length; p++, i += 4) {
+    if (amounts[p] <= 0) continue;
+
+    const y = luminance[p];
+    const shade = y < reference ? 255 * y / reference : 255;
+    const light = y > reference ? 255 * (y - reference) / (255 - reference) : 0;
+
+    shadowPixels[i] = shadowPixels[i + 1] = shadowPixels[i + 2] = shade;
+    shadowPixels[i + 3] = 255;
+    highlightPixels[i] = highlightPixels[i + 1] = highlightPixels[i + 2] = light;
+    highlightPixels[i + 3] = 255;
+  }
+
+  const shadow = createOffscreenCanvas(size, size);
+  shadow.getContext('2d').putImageData(shadowData, 0, 0);
+
+  const highlight = createOffscreenCanvas(size, size);
+  highlight.getContext('2d').putImageData(highlightData, 0, 0);
+
+  return { shadow, highlight };
+}
+
+/**
+ * Draw an image at a square size and read its pixels
+ * @returns {ImageData|null} Pixels, or null if the image can't be read
+ */
+function readPixels(img, size) {
+  const canvas = createOffscreenCanvas(size, size);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, size, size);
+
+  try {
+    return ctx.getImageData(0, 0, size, size);
+  } catch (e) {
+    console.error('Error reading mockup pixels:', e);
+    return null;
+  }
+}
+
+/**
+ * Pattern amount per pixel from an alpha mask image (white, opaque = pattern)
+ * @param {Uint8ClampedArray} maskPixels - Mask RGBA pixels
+ * @returns {Float32Array} Amount per pixel (0-1)
+ */
+function getMaskAmounts(maskPixels) {
+  const amounts = new Float32Array(maskPixels.length / 4);
+
+  for (let p = 0, i = 0; i < maskPixels.length; p++, i += 4) {
+    const luminance = (0.299 * maskPixels[i] + 0.587 * maskPixels[i + 1] + 0.114 * maskPixels[i + 2]) / 255;
+    amounts[p] = luminance * maskPixels[i + 3] / 255;
+  }
+
+  return amounts;
+}
+
+/**
+ * Soft chroma key
+ * Each pixel's chroma (YCbCr) is compared with the key color's: key strength
+ * is how far it points along the key's hue, minus how far it strays off it.
+ * Strength at or above the tolerance is fully keyed, and a short ramp below
+ * gives anti-aliased edges partial alpha. Kept pixels near the key hue have
+ * the key's chroma pulled out (spill suppression), in place.
+ * @param {Uint8ClampedArray} pixels - Mockup RGBA pixels (spill removed in place)
+ * @param {object} keying - { color, tolerance }
+ * @returns {Float32Array} Pattern amount per pixel (0-1)
+ */
+function getKeyAmounts(pixels, keying) {
+  const key = MOCKUP_CONFIG.CHROMA_KEY;
+  const keyRgb = key.COLORS[keying.color] || key.COLORS[key.DEFAULT_COLOR];
+  const [keyCb, keyCr] = toChroma(keyRgb[0], keyRgb[1], keyRgb[2]);
+  const keyLength = Math.hypot(keyCb, keyCr);
+  const dirCb = keyCb / keyLength;
+  const dirCr = keyCr / keyLength;
+
+  const full = 1 - keying.tolerance / 100;
+  const start = full - key.SOFTNESS;
+  const amounts = new Float32Array(pixels.length / 4);
+
+  for (let p = 0, i = 0; i < pixels.length; p++, i += 4) {
+    if (pixels[i + 3] === 0) continue;
+
+    const r = pixels[i];
+    const g = pixels[i + 1];
+    const b = pixels[i + 2];
+    const [cb, cr] = toChroma(r, g, b);
+    const along = cb * dirCb + cr * dirCr;
+    const across = Math.abs(cb * dirCr - cr * dirCb);
+    const excess = along - across;
+    if (excess <= 0) continue;
+
+    const strength = excess / keyLength;
+    let amount;
+    if (strength >= full) {
+      amount = 1;
+    } else if (strength <= start) {
+      amount = 0;
+    } else {
+      const t = (strength - start) / (full - start);
+      amount = t * t * (3 - 2 * t);
+    }
+    amounts[p] = amount;
+
+    // Spill suppression - pull the key's chroma out, keep brightness
+    if (amount < 1) {
+      const spill = excess * key.SPILL;
+      const y = 0.299 * r + 0.587 * g + 0.114 * b;
+      const newCb = cb - dirCb * spill;
+      const newCr = cr - dirCr * spill;
+      pixels[i] = y + 1.402 * newCr;
+      pixels[i + 1] = y - 0.344136 * newCb - 0.714136 * newCr;
+      pixels[i + 2] = y + 1.772 * newCb;
+    }
+  }
+
+  return amounts;
+}
+
+/**
+ * RGB (0-255) to BT.601 chroma [Cb, Cr] (centred on 0)
+ */
+function toChroma(r, g, b) {
+  return [
+    -0.168736 * r - 0.331264 * g + 0.5 * b,
+    0.5 * r - 0.418688 * g - 0.081312 * b
+  ];
+}
+
+/**
+ * Composite the pattern into a mockup's green screen
+ * @param {object} layers - Layers from getMockupLayers()
+ * @param {number} size - Display size in pixels
+ * @param {Function} drawPattern - Draws the pattern: (ctx, size) => void
+ * @param {number} realism - Shading strength (0-100)
+ * @returns {OffscreenCanvas|HTMLCanvasElement} Finished mockup
+ */
+function compositeMockup(layers, size, drawPattern, realism) {
+  const output = createOffscreenCanvas(size, size);
+  const ctx = output.getContext('2d');
+
+  ctx.save();
+  drawPattern(ctx, size);
+  ctx.restore();
+
+  // Keep the pattern only where the key was
+  ctx.globalCompositeOperation = 'destination-in';
+  ctx.drawImage(layers.mask, 0, 0);
+
+  // Fold the mockup's own shading into the pattern
+  if (realism > 0) {
+    ctx.globalAlpha = realism / 100;
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.drawImage(layers.shadow, 0, 0);
+    ctx.globalCompositeOperation = 'screen';
+    ctx.drawImage(layers.highlight, 0, 0);
+    ctx.globalAlpha = 1;
+  }
+
+  // Lay the (faded) mockup over it
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.drawImage(layers.base, 0, 0);
+
+  return output;
+}
+
+/**
+ * Draw the pattern layer of a mockup
+ * A flat fill first (so any key area the warp misses still gets pattern),
+ * then the pattern texture-mapped through the mockup's warp, if it has one.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} size - Display size in pixels
+ * @param {object} settings - Render settings from getMockupRenderSettings()
+ */
+function drawMockupPatternLayer(ctx, size, settings) {
+  const mesh = settings.warp ? buildWarpMesh(settings.warp, size) : null;
+  const flat = mesh ? getMeshSize(mesh) : null;
+  const tile = getMockupTileSize(settings, size, flat);
+  const placement = settings.placement || { x: 0, y: 0, scale: 1 };
+  const layout = {
+    tileW: tile.width * placement.scale,
+    tileH: tile.height * placement.scale,
+    zoom: tile.zoom,
+    scale: placement.scale,
+    shiftX: placement.x * size,
+    shiftY: placement.y * size
+  };
+
+  ctx.save();
+  drawMockupPattern(ctx, size, size, layout);
+  ctx.restore();
+
+  if (!mesh) return;
+
+  const sourceW = Math.max(1, Math.ceil(flat.width));
+  const sourceH = Math.max(1, Math.ceil(flat.height));
+  const source = createOffscreenCanvas(sourceW, sourceH);
+  drawMockupPattern(source.getContext('2d'), sourceW, sourceH, layout);
+
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  drawWarpedImage(ctx, source, sourceW, sourceH, mesh);
+}
+
+/**
+ * Size of one tile on a mockup
+ * With a print area the tile is drawn at its real printed size relative to
+ * the product; otherwise it follows the canvas scale and zoom.
+ * @param {object} settings - Render settings (tileW, tileH, tileInches, printArea)
+ * @param {number} size - Display size in pixels
+ * @param {object|null} flat - Unwarped warp size from getMeshSize()
+ * @returns {object} { width, height, zoom }
+ */
+function getMockupTileSize(settings, size, flat) {
+  const area = settings.printArea;
+  let areaWidth = 0;
+
+  if (area && flat) {
+    areaWidth = flat.width;
+  } else if (area && area.bounds) {
+    areaWidth = (area.bounds[2] - area.bounds[0]) * size;
+  }
+
+  if (!areaWidth || !settings.tileInches) {
+    return { width: settings.tileW, height: settings.tileH, zoom: canvasState.zoom };
+  }
+
+  const pixelsPerInch = areaWidth / area.width;
+  return {
+    width: settings.tileInches.width * pixelsPerInch,
+    height: settings.tileInches.height * pixelsPerInch,
+    zoom: 1
+  };
+}
+
+/**
+ * Draw the repeating pattern over an area
+ * The pattern is scaled (placement scale) about the area's centre, then
+ * shifted by the placement; zoom scales the whole area about its centre.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} width - Area width in pixels
+ * @param {number} height - Area height in pixels
+ * @param {object} layout - { tileW, tileH, zoom, scale, shiftX, shiftY }
+ */
+function drawMockupPattern(ctx, width, height, layout) {
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.translate(width / 2, height / 2);
+  ctx.scale(layout.zoom, layout.zoom);
+  ctx.translate(-width / 2, -height / 2);
+
+  const originX = width / 2 * (1 - layout.scale) + layout.shiftX;
+  const originY = height / 2 * (1 - layout.scale) + layout.shiftY;
+  drawPatternToContext(ctx, 0, 0, width, height, layout.tileW, layout.tileH, originX, originY);
+}
@@ -38,10 +38,61 @@ MIN_SCALE: 0.05,
 MAX_SCALE: 5.0,
 
 // Default repeat type
-DEFAULT_REPEAT: ‘full’,
+DEFAULT_REPEAT: 'full',
 
 // Repeat type options
-REPEAT_TYPES: [‘full’, ‘half-drop’, ‘brick’]
+REPEAT_TYPES: ['full', 'half-drop', 'brick', 'mirror-h', 'mirror-v', 'mirror-4', 'rotate-90', 'rotate-180', 'hex', 'diamond', 'ogee'],
+
+// Drop/brick shift ratios (fraction of a tile per column/row)
+DEFAULT_DROP_RATIO: 0.5,
+DROP_RATIOS: [
+  { value: 1 / 2, label: '1/2' },
+  { value: 1 / 3, label: '1/3' },
+  { value: 1 / 4, label: '1/4' }
+],
+
+// Custom drop/brick ratio limits (%)
+MIN_DROP_PERCENT: 1,
+MAX_DROP_PERCENT: 99,
+
+// Pre-rendered repeat unit limits - beyond these tiles are drawn one by one
+MAX_UNIT_TILES: 20,     // Columns/rows a drop or brick repeat may need
+MAX_UNIT_PIXELS: 4096,  // Longest side of the unit bitmap
+
+// Print resolution the tile is assumed to have - sets its real-world size
+// on mockups and the inch grid overlay
+DEFAULT_PRINT_DPI: 150
+};
+
+/**
+ * Asset Loader Configuration
+ * Bundled files are tried first so the app works offline; the hosted
+ * copy is the fallback (see assets.js)
+ */
+const ASSET_CONFIG = {
+  // Bundled assets, relative to index.html
+  LOCAL_BASE: 'assets/',
+
+  // Hosted copy of the same assets
+  REMOTE_BASE: 'https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/',
+
+  // Asset folders - the hosted copy names some of them differently
+  FOLDERS: {
+    mockups: { local: 'mockups/', remote: 'Mockups/' },
+    patterns: { local: 'patterns/', remote: 'patterns/' },
+    icons: { local: 'icons/', remote: 'icons/' },
+    audio: { local: 'audio/', remote: 'secret stash/' }
+  },
+
+  // Extra attempts at the hosted copy, first retry delay (doubles each time)
+  REMOTE_RETRIES: 2,
+  RETRY_DELAY: 1000,
+
+  // Give up on a single attempt after this long (ms)
+  TIMEOUT: 15000,
+
+  // How long the "all loaded" status stays up (ms)
+  STATUS_HIDE_DELAY: 2500
 };
 
 /**
@@ -50,13 +101,13 @@ REPEAT_TYPES: [‘full’, ‘half-drop’, ‘brick’]
   */
   const UPLOAD_CONFIG = {
   // Accepted file types
-  ACCEPTED_TYPES: [‘image/png’, ‘image/jpeg’, ‘image/jpg’, ‘image/webp’],
+  ACCEPTED_TYPES: ['image/png', 'image/jpeg', 'image/jpg', 'image/webp'],
 
 // Maximum file size (10MB)
 MAX_FILE_SIZE: 10 * 1024 * 1024,
 
 // File extensions
-ACCEPTED_EXTENSIONS: [’.png’, ‘.jpg’, ‘.jpeg’, ‘.webp’]
+ACCEPTED_EXTENSIONS: ['.png', '.jpg', '.jpeg', '.webp']
 };
 
 /**
@@ -66,25 +117,38 @@ ACCEPTED_EXTENSIONS: [’.png’, ‘.jpg’, ‘.jpeg’, ‘.webp’]
   const EXPORT_CONFIG = {
   // Available export resolutions
   RESOLUTIONS: {
-  CURRENT: ‘current’,
+  CURRENT: 'current',
   HIGH: 1600,
   ULTRA: 2400,
   MAX: 3200,
   PRINT: 4800,
-  CUSTOM: ‘custom’
+  CUSTOM: 'custom'
   },
 
 // Export formats
 FORMATS: {
-PNG: ‘png’,
-JPG: ‘jpg’
+PNG: 'png',
+JPG: 'jpg'
 },
 
 // JPEG quality (0-1)
 JPEG_QUALITY: 0.95,
 
 // Default filename prefix
-FILENAME_PREFIX: ‘rudeboy-pattern’
+FILENAME_PREFIX: 'rudeboy-pattern',
+
+// Longest side of any export in pixels (matches the custom size limit)
+MAX_SIZE: 10000,
+
+// DPI limits for exports (written into the file as its resolution)
+MIN_DPI: 10,
+MAX_DPI: 1200,
+
+// Shortest side of a custom width × height export in pixels
+MIN_SIZE: 16,
+
+// Longest side of the framing preview in the export modal
+PREVIEW_SIZE: 240
 };
 
 /**
@@ -110,9 +174,9 @@ MIN_RELOAD_TIME: 1500
   TRANSITION_SLOW: 500,
 
 // Animation timing functions
-EASE_IN_OUT: ‘ease-in-out’,
-EASE_OUT: ‘ease-out’,
-EASE_IN: ‘ease-in’
+EASE_IN_OUT: 'ease-in-out',
+EASE_OUT: 'ease-out',
+EASE_IN: 'ease-in'
 };
 
 /**
@@ -123,7 +187,7 @@ EASE_IN: ‘ease-in’
   // Default values
   DEFAULT_SIZE: 9,
   DEFAULT_DPI: 150,
-  DEFAULT_UNIT: ‘inches’,
+  DEFAULT_UNIT: 'inches',
 
 // Size limits
 MIN_SIZE_INCHES: 1,
@@ -141,22 +205,22 @@ CM_TO_INCHES: 2.54,
 // Preset recommendations
 PRESETS: {
 PRINT_QUALITY: [
-{ size: 4, dpi: 300, unit: ‘in’, label: ‘4” × 4” @ 300 DPI’ },
-{ size: 6, dpi: 300, unit: ‘in’, label: ‘6” × 6” @ 300 DPI’ },
-{ size: 8, dpi: 300, unit: ‘in’, label: ‘8” × 8” @ 300 DPI’ },
-{ size: 12, dpi: 300, unit: ‘in’, label: ‘12” × 12” @ 300 DPI’ }
+{ size: 4, dpi: 300, unit: 'in', label: '4" × 4" @ 300 DPI' },
+{ size: 6, dpi: 300, unit: 'in', label: '6" × 6" @ 300 DPI' },
+{ size: 8, dpi: 300, unit: 'in', label: '8" × 8" @ 300 DPI' },
+{ size: 12, dpi: 300, unit: 'in', label: '12" × 12" @ 300 DPI' }
 ],
 WEB_DIGITAL: [
-{ px: 512, label: ‘512 × 512px’ },
-{ px: 1024, label: ‘1024 × 1024px’ },
-{ px: 2048, label: ‘2048 × 2048px’ },
-{ px: 4096, label: ‘4096 × 4096px’ }
+{ px: 512, label: '512 × 512px' },
+{ px: 1024, label: '1024 × 1024px' },
+{ px: 2048, label: '2048 × 2048px' },
+{ px: 4096, label: '4096 × 4096px' }
 ],
 POD: [
-{ size: 10.67, dpi: 150, unit: ‘in’, label: ‘Redbubble (1600px)’ },
-{ size: 16, dpi: 150, unit: ‘in’, label: ‘Society6 (2400px)’ },
-{ size: 13.33, dpi: 150, unit: ‘in’, label: ‘Spoonflower (2000px)’ },
-{ size: 21.33, dpi: 150, unit: ‘in’, label: ‘Zazzle (3200px)’ }
+{ size: 10.67, dpi: 150, unit: 'in', label: 'Redbubble (1600px)' },
+{ size: 16, dpi: 150, unit: 'in', label: 'Society6 (2400px)' },
+{ size: 13.33, dpi: 150, unit: 'in', label: 'Spoonflower (2000px)' },
+{ size: 21.33, dpi: 150, unit: 'in', label: 'Zazzle (3200px)' }
 ]
 }
 };
@@ -175,6 +239,24 @@ HIGH_CONTRAST: 7,
 MEDIUM_CONTRAST: 3
 };
 
+/**
+ * Seam Check Configuration
+ */
+const SEAM_CONFIG = {
+  // Longest edge sample (px) - larger tiles are resampled down to this
+  MAX_SAMPLES: 1024,
+
+  // Difference above the tile's own texture that counts as a full break (0-1)
+  TOLERANCE: 0.12,
+
+  // Heatmap band thickness on screen (px)
+  HEATMAP_WIDTH: 6,
+
+  // Seamless score thresholds (0-100)
+  SCORE_EXCELLENT: 97,
+  SCORE_GOOD: 90
+};
+
 /**
 
 - Grid Overlay Configuration
@@ -187,7 +269,7 @@ MEDIUM_CONTRAST: 3
 DPI: 150,
 
 // Grid line style
-LINE_COLOR: ‘rgba(255, 255, 255, 0.5)’,
+LINE_COLOR: 'rgba(255, 255, 255, 0.5)',
 LINE_WIDTH: 2,
 LINE_DASH: [5, 5]
 };
@@ -197,50 +279,289 @@ LINE_DASH: [5, 5]
 - Mockup Configuration
   */
   const MOCKUP_CONFIG = {
-  // Base URL for mockup images
-  BASE_URL: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/Mockups/’,
-
-// Available mockups
-MOCKUPS: {
-phone: ‘iphone.png’,
-bottle: ‘bottle.png’,
-tote: ‘tote.png’,
-bandana: ‘bandana.png’,
-bedspread: ‘bedspread.png’,
-ipad: ‘ipad.png’,
-mug: ‘mug.png’,
-sweatshirt: ‘sweatshirt.png’
-},
+  // Mockup manifest (mockups asset folder) - lists every mockup, its image,
+  // warp and print area. Image and mask paths in it are relative to it.
+  MANIFEST_FILE: 'manifest.json',
+
+  // Bare mockups shown when the manifest can't be fetched (opened from
+  // file://, or the hosted copy is missing) - images only, no print area or
+  // warp, which only the manifest has
+  FALLBACK_MOCKUPS: [
+    { id: 'phone', label: 'Phone Case', image: 'iphone.png' },
+    { id: 'ipad', label: 'iPad Case', image: 'ipad.png' },
+    { id: 'tote', label: 'Tote Bag', image: 'tote.png' },
+    { id: 'bandana', label: 'Bandana', image: 'bandana.png' },
+    { id: 'bedspread', label: 'Bedspread', image: 'bedspread.png' },
+    { id: 'mug', label: 'Mug', image: 'mug.png' },
+    { id: 'sweatshirt', label: 'Sweatshirt', image: 'sweatshirt.png' },
+    { id: 'bottle', label: 'Water Bottle', image: 'bottle.png' }
+  ],
 
 // Mockup display size (percentage of canvas)
 DISPLAY_SIZE_PERCENT: 0.72,
 
-// Chroma key detection (green screen)
+// Compositing worker (falls back to the page if it can't start)
+WORKER_URL: 'js/mockup-worker.js',
+
+// Mask layers kept in memory (one per mockup and display size) - enough
+// for every mockup in the All Mockups view plus the one being viewed
+LAYER_CACHE_SIZE: 24,
+
+// Chroma key (soft key - see compositor.js)
 CHROMA_KEY: {
-MIN_GREEN: 200,
-GREEN_ADVANTAGE: 50,
-MAX_RED: 50,
-MAX_BLUE: 50
+  // Key colors a mockup can use
+  COLORS: {
+    green: [0, 255, 0],
+    blue: [0, 0, 255],
+    magenta: [255, 0, 255]
+  },
+  DEFAULT_COLOR: 'green',
+
+  // Tolerance (0-100): higher keys out darker / less saturated key color
+  DEFAULT_TOLERANCE: 50,
+
+  // Width of the partial-alpha ramp below full key (0-1 of key strength)
+  SOFTNESS: 0.2,
+
+  // Spill suppression strength on kept edge pixels (0-1)
+  SPILL: 1
+},
+
+// Shading strength (0-100) - how much of the mockup's folds and highlights
+// show through the pattern
+DEFAULT_REALISM: 60,
+
+// Warp mesh density (cells per side for quads and cylinders)
+WARP_STEPS: 16,
+
+// Units a manifest print area may be given in (inches per unit)
+PRINT_UNITS: {
+  in: 1,
+  cm: 1 / 2.54
+},
+
+// Pattern placement inside mockups (drag / wheel / pinch)
+PLACEMENT: {
+  MIN_SCALE: 0.2,
+  MAX_SCALE: 5,
+  WHEEL_STEP: 1.1,      // Scale factor per wheel notch
+  SAVE_DELAY: 500       // ms after the last change before it's stored
+},
+
+// User-added mockups (see custom-mockups.js)
+CUSTOM: {
+  MAX_SIZE: 2048,         // Photos are padded square and scaled to fit this
+  PREVIEW_SIZE: 320,      // Key area preview size in pixels
+  MIN_COVERAGE: 0.005,    // Smallest key area (fraction of the photo) accepted
+  HIGHLIGHT: [255, 140, 0]  // Preview color for the detected key area
+},
+
+// All Mockups view and contact sheet export (see contact-sheet.js)
+// Sizes are fractions of one mockup cell
+CONTACT_SHEET: {
+  GAP: 0.06,              // Space between and around cells
+  LABEL_HEIGHT: 0.12,     // Label strip under each mockup
+  LABEL_FONT: 0.055,      // Label text size
+  LABEL_COLOR: '#ffffff',
+  LABEL_BACKGROUND: 'rgba(0, 0, 0, 0.55)',
+  FILENAME_PREFIX: 'rudeboy-contact-sheet'
 }
 };
 
+/**
+ * Room Mockup Configuration
+ * Positions are fractions of the scene (see room.js)
+ */
+const ROOM_CONFIG = {
+  // Units the wall may be given in (inches per unit)
+  UNITS: {
+    ft: 12,
+    m: 100 / 2.54
+  },
+
+  DEFAULT_WALL: { width: 12, height: 8, unit: 'ft' },
+
+  // Wall size limits in inches
+  MIN_INCHES: 12,
+  MAX_INCHES: 600,
+
+  // Box the wall is fitted into, seen face on
+  WALL_AREA: { x0: 0.1, y0: 0.1, x1: 0.86, y1: 0.8 },
+
+  // How much shorter the far (right) edge of the wall looks
+  RECEDE: 0.14,
+
+  // How steeply the side walls' edges run toward the viewer
+  SIDE_SLOPE: 0.45,
+
+  // Baseboard height in inches
+  BASEBOARD: 4,
+
+  COLORS: {
+    ceiling: '#eeebe5',
+    leftWall: '#e2ddd3',
+    rightWall: '#c9c2b6',
+    floorBack: '#9a7656',
+    floorFront: '#6e5038',
+    baseboard: '#f5f3ee'
+  }
+};
+
+/**
+ * Fabric Swatch Configuration
+ * See fabric.js. Weave, fold shading and sheen strengths (0-1) are scaled by
+ * the realism setting; muting is how the cloth changes the ink's color.
+ */
+const FABRIC_CONFIG = {
+  // weave: texture generator; thread: thread width in pixels;
+  // texture / sheen: strength; desaturate: 0-1; lift: black lift (0-255);
+  // deepen: darkening of the whole print (0-1)
+  SUBSTRATES: {
+    cotton: { label: 'Cotton', weave: 'plain', thread: 3, texture: 0.35, sheen: 0, desaturate: 0.12, lift: 18, deepen: 0 },
+    linen: { label: 'Linen', weave: 'slub', thread: 4, texture: 0.55, sheen: 0, desaturate: 0.22, lift: 30, deepen: 0 },
+    velvet: { label: 'Velvet', weave: 'pile', thread: 2, texture: 0.3, sheen: 0.45, desaturate: 0.04, lift: 0, deepen: 0.12 },
+    satin: { label: 'Satin', weave: 'satin', thread: 2, texture: 0.2, sheen: 0.6, desaturate: 0, lift: 6, deepen: 0 },
+    canvas: { label: 'Canvas', weave: 'basket', thread: 5, texture: 0.6, sheen: 0, desaturate: 0.18, lift: 24, deepen: 0 }
+  },
+  DEFAULT_SUBSTRATE: 'cotton',
+
+  // Swatch size (fraction of the canvas) and shape
+  SIZE_PERCENT: 0.57,
+  ASPECT: 0.8,
+  CORNER_RADIUS: 15,
+
+  // Hanging drape - folds across the swatch, deepest at the hem
+  DRAPE: {
+    FOLDS: 4.5,           // Folds across the swatch
+    DEPTH: 0.035,         // Sideways sway (fraction of the width)
+    HEM: 0.04,            // Hem wave (fraction of the height)
+    SHADE: 0.6,           // Fold shading strength
+    COLS: 36,             // Mesh density
+    ROWS: 12
+  },
+
+  // Shadow under the cloth (fraction of the swatch width)
+  SHADOW_BLUR: 0.04
+};
+
+/**
+ * Fabric Yardage Configuration
+ * See yardage.js. Lengths are in inches unless noted.
+ */
+const YARDAGE_CONFIG = {
+  // Printable bolt widths offered
+  BOLT_WIDTHS: [42, 54, 56],
+  DEFAULT_WIDTH: 42,
+
+  // Length in yards
+  DEFAULT_LENGTH: 1,
+  MIN_LENGTH: 0.25,
+  MAX_LENGTH: 10,
+  YARD: 36,
+
+  // Print DPI limits when the tile's printed width is typed in
+  MIN_DPI: 10,
+  MAX_DPI: 1200,
+
+  // Layout (fractions of the canvas)
+  MARGIN: 0.06,
+  CAPTION_HEIGHT: 0.09,
+  FONT_SIZE: 0.022,
+
+  COLORS: {
+    text: '#ffffff',
+    caption: 'rgba(0, 0, 0, 0.6)',
+    edge: 'rgba(255, 255, 255, 0.85)',
+    repeat: '#ff8c00',
+    partial: 'rgba(255, 140, 0, 0.3)'
+  }
+};
+
+/**
+ * Wallpaper Strip Configuration
+ * See wallpaper.js. The wall is the Room Wall size; lengths are in inches.
+ */
+const WALLPAPER_CONFIG = {
+  ROLLS: {
+    us: { label: 'US Double Roll (20.5" × 33 ft)', width: 20.5, length: 396 },
+    euro: { label: 'Euro Roll (52 cm × 10 m)', width: 52 / 2.54, length: 1000 / 2.54 },
+    wide: { label: 'Wide Roll (27" × 27 ft)', width: 27, length: 324 }
+  },
+  DEFAULT_ROLL: 'us',
+
+  // Extra length cut per strip for trimming at ceiling and floor
+  TRIM: 4,
+
+  COLORS: {
+    seam: 'rgba(255, 255, 255, 0.9)',
+    waste: 'rgba(0, 0, 0, 0.55)',
+    label: '#ff8c00'
+  }
+};
+
+/**
+ * Print-on-Demand Export Profiles
+ * See pod-profiles.js. Typical upload specs per service and product - the
+ * services change them from time to time, so check before a big upload.
+ * target: 'pattern' exports the tiled field at width × height;
+ * 'repeat-unit' exports one repeat (drops baked in) at its own pixel size, so
+ * it prints at the tile's size, for services that tile the upload themselves -
+ * minSize is the smallest long side the service takes.
+ * colorMode: 'RGBA' keeps transparency, 'RGB' prints it as a solid fill,
+ * 'CMYK' also needs converting before upload (exports are always RGB).
+ */
+const POD_CONFIG = {
+  PROFILES: {
+    'redbubble-all-over': {
+      service: 'Redbubble', product: 'All-over print', target: 'pattern',
+      width: 1600, height: 1600, dpi: 150, format: 'png', colorMode: 'RGBA', maxFileMB: 300
+    },
+    'redbubble-tile': {
+      service: 'Redbubble', product: 'Pattern tile', target: 'repeat-unit',
+      minSize: 1600, dpi: 150, format: 'png', colorMode: 'RGBA', maxFileMB: 300
+    },
+    'society6-wall-art': {
+      service: 'Society6', product: 'Wall art & prints', target: 'pattern',
+      width: 2400, height: 2400, dpi: 150, format: 'png', colorMode: 'RGB', maxFileMB: 150
+    },
+    'society6-home': {
+      service: 'Society6', product: 'Home decor (pillows, throws)', target: 'pattern',
+      width: 3200, height: 3200, dpi: 150, format: 'png', colorMode: 'RGB', maxFileMB: 150
+    },
+    'spoonflower-fabric': {
+      service: 'Spoonflower', product: 'Fabric (one repeat)', target: 'repeat-unit',
+      minSize: 300, dpi: 150, format: 'png', colorMode: 'RGB', maxFileMB: 40
+    },
+    'spoonflower-wallpaper': {
+      service: 'Spoonflower', product: 'Wallpaper (one repeat)', target: 'repeat-unit',
+      minSize: 300, dpi: 150, format: 'png', colorMode: 'RGB', maxFileMB: 40
+    },
+    'zazzle-products': {
+      service: 'Zazzle', product: 'Products', target: 'pattern',
+      width: 3200, height: 3200, dpi: 150, format: 'jpg', colorMode: 'RGB', maxFileMB: 50
+    }
+  },
+
+  // How far past its own pixels the tile can be stretched before warning
+  MAX_UPSCALE: 1.05
+};
+
 /**
 
 - Sample Patterns Configuration
   */
   const SAMPLES_CONFIG = {
-  // Base URL for sample patterns
-  BASE_URL: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/patterns/’,
-
-// Available samples
-SAMPLES: [
-{ name: ‘Seamless’, file: ‘Seamless.png’ },
-{ name: ‘Mushrooms’, file: ‘Mushrooms.png’ },
-{ name: ‘Jolt Cola’, file: ‘JoltCola.png’ },
-{ name: ‘Beaver’, file: ‘Beaver.png’ },
-{ name: ‘Pinot Noir’, file: ‘PinotNoir.png’ },
-{ name: ‘Wu-Tang’, file: ‘Wu-Tang.png’ }
-]
+  // Available samples (files in the patterns asset folder; hosted: only in
+  // the hosted copy, not bundled)
+  SAMPLES: [
+    { name: 'Seamless', file: 'Seamless.png' },
+    { name: 'Mushrooms', file: 'Mushrooms.png' },
+    { name: 'Jolt Cola', file: 'JoltCola.png', hosted: true },
+    { name: 'Beaver', file: 'Beaver.png' },
+    { name: 'Pinot Noir', file: 'PinotNoir.png' },
+    { name: 'Sturdy', file: 'Sturdy.png' },
+    { name: 'Wu-Tang', file: 'Wu-Tang.png' }
+  ]
 };
 
 /**
@@ -249,10 +570,10 @@ SAMPLES: [
   */
   const WEATHER_CONFIG = {
   // Open-Meteo API endpoint
-  API_ENDPOINT: ‘https://api.open-meteo.com/v1/forecast’,
+  API_ENDPOINT: 'https://api.open-meteo.com/v1/forecast',
 
 // Nominatim reverse geocoding
-GEOCODING_ENDPOINT: ‘https://nominatim.openstreetmap.org/reverse’,
+GEOCODING_ENDPOINT: 'https://nominatim.openstreetmap.org/reverse',
 
 // US bounds for F vs C
 US_BOUNDS: {
@@ -269,10 +590,23 @@ MAX_LON: -66
   */
   const STORAGE_CONFIG = {
   // Storage key for saved patterns
-  PATTERNS_KEY: ‘rudeboy-patterns’,
+  PATTERNS_KEY: 'rudeboy-patterns',
 
 // Maximum saved patterns
-MAX_PATTERNS: 50
+MAX_PATTERNS: 50,
+
+// Pattern placement per mockup
+PLACEMENTS_KEY: 'rudeboy-mockup-placements',
+
+// IndexedDB database for user-added mockups (photos outgrow localStorage)
+MOCKUP_DB: 'rudeboy-mockups',
+MOCKUP_STORE: 'mockups',
+
+// Room mockup wall size
+ROOM_WALL_KEY: 'rudeboy-room-wall',
+
+// Author / copyright written into exported files
+EXPORT_CREDITS_KEY: 'rudeboy-export-credits'
 };
 
 /**
@@ -280,15 +614,12 @@ MAX_PATTERNS: 50
 - Easter Egg Configuration
   */
   const EASTER_EGG_CONFIG = {
-  // Music base URL
-  MUSIC_BASE_URL: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/’,
-
-// Icon URL
-ICON_URL: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/icons/nova.png’,
+  // Media Session artwork (icons asset folder)
+  ICON_FILE: 'nova.png',
 
 // Matrix animation settings
 MATRIX: {
-MESSAGE: ‘CREATED BY RUDEBOY’,
+MESSAGE: 'CREATED BY RUDEBOY',
 MESSAGE_INTERVAL: 30000,
 INITIAL_SPEED: 50,
 MESSAGE_SPEED: 75
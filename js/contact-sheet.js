@@ -0,0 +1,230 @@
+/* ============================================================================
+CONTACT-SHEET.JS - All Mockups View & Contact Sheet Export
+
+This file lays every loaded mockup (built-in and user-added) out in a grid:
+
+- The All Mockups view mode draws the grid on the canvas
+- The export modal saves the same grid as one high-resolution image
+
+Each cell is composited on the page with the mockup's own keying, warp,
+print area and placement, so it matches the single-mockup view.
+============================================================================ */
+
+/**
+ * All Mockups view state
+ * cached is the last rendered grid; signature describes what it shows
+ */
+const contactSheetState = {
+  cached: null,
+  signature: '',
+  tileImage: null,
+  tileVersion: 0
+};
+
+/**
+ * Mockups that can go on the sheet (manifest order, images loaded)
+ * @returns {Array<object>} Manifest entries
+ */
+function getContactSheetEntries() {
+  return mockupManifest.filter((entry) => {
+    const img = mockupImages[entry.id];
+    return img && img.complete && img.naturalWidth;
+  });
+}
+
+/**
+ * Size of a sheet in cells
+ * Gaps and labels scale with the cell, so width and height are simply
+ * multiples of the cell size.
+ * @param {number} cols - Columns
+ * @param {number} rows - Rows
+ * @returns {object} { width, height } in cell sizes
+ */
+function getContactSheetUnits(cols, rows) {
+  const { GAP, LABEL_HEIGHT } = MOCKUP_CONFIG.CONTACT_SHEET;
+  return {
+    width: cols + (cols + 1) * GAP,
+    height: rows * (1 + LABEL_HEIGHT) + (rows + 1) * GAP
+  };
+}
+
+/**
+ * Grid that fits a box with the biggest cells
+ * @param {number} count - Number of mockups
+ * @param {number} width - Box width in pixels
+ * @param {number} height - Box height in pixels
+ * @returns {object} { cols, rows, cell }
+ */
+function fitContactSheet(count, width, height) {
+  let best = { cols: 1, rows: count, cell: 0 };
+
+  for (let cols = 1; cols <= count; cols++) {
+    const rows = Math.ceil(count / cols);
+    const units = getContactSheetUnits(cols, rows);
+    const cell = Math.min(width / units.width, height / units.height);
+    if (cell > best.cell) best = { cols, rows, cell };
+  }
+
+  return best;
+}
+
+/**
+ * Render the contact sheet
+ * @param {Array<object>} entries - Mockups to include
+ * @param {object} grid - { cols, rows, cell } (cell in pixels)
+ * @param {object} options - { background, cached }
+ *   background: fill color or null for transparent;
+ *   cached: reuse the compositor's mask layers (off for big exports)
+ * @returns {HTMLCanvasElement} Finished sheet
+ */
+function renderContactSheet(entries, grid, options) {
+  const { GAP, LABEL_HEIGHT, LABEL_FONT, LABEL_COLOR, LABEL_BACKGROUND } = MOCKUP_CONFIG.CONTACT_SHEET;
+  const cell = Math.max(1, Math.floor(grid.cell));
+  const gap = cell * GAP;
+  const labelHeight = cell * LABEL_HEIGHT;
+  const units = getContactSheetUnits(grid.cols, grid.rows);
+
+  const sheet = document.createElement('canvas');
+  sheet.width = Math.round(units.width * cell);
+  sheet.height = Math.round(units.height * cell);
+  const ctx = sheet.getContext('2d');
+
+  if (options.background) {
+    ctx.fillStyle = options.background;
+    ctx.fillRect(0, 0, sheet.width, sheet.height);
+  }
+
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.font = `600 ${Math.round(cell * LABEL_FONT)}px system-ui, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  entries.forEach((entry, index) => {
+    const x = gap + (index % grid.cols) * (cell + gap);
+    const y = gap + Math.floor(index / grid.cols) * (cell + labelHeight + gap);
+
+    const mockup = renderContactSheetCell(entry, cell, options.cached);
+    if (mockup) {
+      ctx.save();
+      ctx.translate(x + cell / 2, y + cell / 2);
+      ctx.rotate((entry.rotation || 0) * Math.PI / 180);
+      ctx.drawImage(mockup, -cell / 2, -cell / 2, cell, cell);
+      ctx.restore();
+    }
+
+    ctx.fillStyle = LABEL_BACKGROUND;
+    ctx.fillRect(x, y + cell, cell, labelHeight);
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.fillText(entry.label || entry.id, x + cell / 2, y + cell + labelHeight / 2, cell - gap);
+  });
+
+  return sheet;
+}
+
+/**
+ * Composite one mockup for the sheet
+ * @param {object} entry - Manifest entry
+ * @param {number} size - Cell size in pixels
+ * @param {boolean} cached - Use the compositor's layer cache
+ * @returns {CanvasImageSource|null} Finished mockup, or null if it can't be read
+ */
+function renderContactSheetCell(entry, size, cached) {
+  const keying = getMockupKeying(entry.id);
+  const settings = getMockupRenderSettings(entry.id, keying);
+  const layers = cached
+    ? getMockupLayers(entry.id, mockupImages[entry.id], size, keying)
+    : buildMockupLayers(mockupImages[entry.id], size, keying);
+  if (!layers) return null;
+
+  return compositeMockup(layers, size, (ctx) => {
+    drawMockupPatternLayer(ctx, size, settings);
+  }, settings.realism);
+}
+
+/**
+ * Draw the All Mockups view
+ * The sheet is only re-rendered when the pattern, a mockup or the canvas
+ * size changes.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (centred)
+ */
+function drawContactSheet(ctx) {
+  const state = contactSheetState;
+  const entries = getContactSheetEntries();
+  if (!entries.length) return;
+
+  const width = canvasState.canvas.width;
+  const height = canvasState.canvas.height;
+  const sheet = getCachedRender(state, [
+    width, height,
+    entries.map(entry => [entry.id, getMockupRenderSettings(entry.id, getMockupKeying(entry.id))])
+  ], () => renderContactSheet(entries, fitContactSheet(entries.length, width, height), {
+    background: null,
+    cached: true
+  }));
+
+  ctx.drawImage(sheet, -sheet.width / 2, -sheet.height / 2);
+}
+
+/**
+ * Grid and pixel size of an exported contact sheet
+ * The grid is as close to square as the mockup count allows, and is made
+ * as large as fits inside maxWidth × maxHeight.
+ * @param {number} count - Mockups on the sheet
+ * @param {number} maxWidth - Widest the sheet can be in pixels
+ * @param {number} maxHeight - Tallest the sheet can be in pixels
+ * @returns {object} { cols, rows, cell, width, height }
+ */
+function getContactSheetExportGrid(count, maxWidth, maxHeight) {
+  const cols = Math.ceil(Math.sqrt(count));
+  const rows = Math.ceil(count / cols);
+  const units = getContactSheetUnits(cols, rows);
+  const cell = Math.min(maxWidth / units.width, maxHeight / units.height);
+  const whole = Math.max(1, Math.floor(cell));
+
+  return {
+    cols,
+    rows,
+    cell,
+    width: Math.round(units.width * whole),
+    height: Math.round(units.height * whole)
+  };
+}
+
+/**
+ * Export every mockup as one contact sheet
+ * The sheet fits inside width × height (see getContactSheetExportGrid()).
+ * @param {number} width - Widest the sheet can be in pixels
+ * @param {number} height - Tallest the sheet can be in pixels
+ * @param {string} format - 'png' or 'jpg'
+ * @param {boolean} transparent - Leave the background clear (PNG only)
+ * @param {object} metadata - { dpi, author, copyright } written into the file
+ */
+function exportContactSheet(width, height, format, transparent, metadata = getExportMetadata()) {
+  const entries = getContactSheetEntries();
+  if (!canvasState.tileImage || !entries.length) return;
+
+  showLoading(false);
+
+  setTimeout(async () => {
+    const grid = getContactSheetExportGrid(entries.length, width, height);
+    const background = getExportBackground(format, transparent);
+
+    try {
+      const sheet = renderContactSheet(entries, grid, { background, cached: false });
+      await saveExportCanvas(
+        sheet,
+        `${MOCKUP_CONFIG.CONTACT_SHEET.FILENAME_PREFIX}-${sheet.width}x${sheet.height}px`,
+        format,
+        `Check out my pattern on ${entries.length} products!`,
+        metadata
+      );
+    } catch (e) {
+      console.error('Contact sheet export failed:', e);
+      alert('Export failed - try a smaller size.');
+    }
+
+    hideLoading();
+  }, 100);
+}
+
@@ -0,0 +1,488 @@
+/* ============================================================================
+CUSTOM-MOCKUPS.JS - User-Added Mockups
+
+This file lets people add their own product photos as mockups:
+
+- Pick a photo with a green-screen (or blue / magenta) print area
+- Preview the key area it detects, name it and give its printed size
+- Saved in IndexedDB (photos outgrow localStorage) and reloaded on start
+- Listed in the View Mode menu after the built-in mockups
+
+Saved mockups become manifest entries (see mockups.js) flagged custom, so
+keying, compositing and print-area scaling work the same as built-ins.
+============================================================================ */
+
+/**
+ * Custom mockup state
+ * draft is the photo being added; urls holds each saved photo's object URL
+ */
+const customMockupState = {
+  db: null,
+  records: [],
+  urls: {},
+  draft: null
+};
+
+/**
+ * Set up the Add Mockup card and load saved mockups
+ */
+function initCustomMockups() {
+  const fileInput = document.getElementById('customMockupFile');
+
+  document.getElementById('customMockupChoose').addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', (e) => {
+    handleCustomMockupFile(e.target.files[0]);
+    e.target.value = '';
+  });
+
+  document.getElementById('customMockupKey').addEventListener('change', (e) => {
+    if (!customMockupState.draft) return;
+    customMockupState.draft.keyColor = e.target.value;
+    updateCustomMockupPreview();
+  });
+
+  document.getElementById('customMockupSave').addEventListener('click', saveCustomMockup);
+  document.getElementById('customMockupCancel').addEventListener('click', closeCustomMockupDraft);
+
+  loadCustomMockups();
+}
+
+/* ==========================================================================
+STORAGE
+========================================================================== */
+
+/**
+ * Open (or create) the custom mockup database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openCustomMockupDb() {
+  if (customMockupState.db) return Promise.resolve(customMockupState.db);
+
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+
+    const request = indexedDB.open(STORAGE_CONFIG.MOCKUP_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORAGE_CONFIG.MOCKUP_STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => {
+      customMockupState.db = request.result;
+      resolve(request.result);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the mockup store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} action - (store) => IDBRequest
+ * @returns {Promise<*>} The request's result once the transaction completes
+ */
+async function useCustomMockupStore(mode, action) {
+  const db = await openCustomMockupDb();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORAGE_CONFIG.MOCKUP_STORE, mode);
+    const request = action(transaction.objectStore(STORAGE_CONFIG.MOCKUP_STORE));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Load every saved custom mockup
+ */
+async function loadCustomMockups() {
+  let records;
+
+  try {
+    records = await useCustomMockupStore('readonly', store => store.getAll());
+  } catch (e) {
+    console.warn('Custom mockups unavailable:', e);
+    renderCustomMockups();
+    return;
+  }
+
+  records
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .forEach(addCustomMockup);
+  renderCustomMockups();
+}
+
+/**
+ * Register a saved mockup with the manifest, image store and menu
+ * @param {object} record - { id, timestamp, image: Blob, entry }
+ */
+function addCustomMockup(record) {
+  const url = URL.createObjectURL(record.image);
+
+  customMockupState.records.push(record);
+  customMockupState.urls[record.id] = url;
+  mockupManifest.push(record.entry);
+  loadMockupImage(record.id, url, mockupImages, 'mockup');
+  populateViewModeOptions();
+}
+
+/**
+ * Drop a custom mockup from the manifest, image store and menu
+ * @param {string} id - Mockup id
+ */
+function removeCustomMockup(id) {
+  const index = mockupManifest.findIndex(entry => entry.id === id);
+  if (index >= 0) mockupManifest.splice(index, 1);
+
+  delete mockupImages[id];
+  forgetMockup(id);
+  resetMockupPlacement(id);
+  URL.revokeObjectURL(customMockupState.urls[id]);
+  delete customMockupState.urls[id];
+  customMockupState.records = customMockupState.records.filter(record => record.id !== id);
+
+  const viewMode = document.getElementById('viewMode');
+  const option = viewMode.querySelector(`option[value="${CSS.escape(id)}"]`);
+  if (option) option.remove();
+
+  if (canvasState.viewMode === id) {
+    viewMode.value = 'tile';
+    viewMode.dispatchEvent(new Event('change'));
+  }
+}
+
+/* ==========================================================================
+ADDING A MOCKUP
+========================================================================== */
+
+/**
+ * Start adding a mockup from a chosen photo
+ * @param {File} file - Photo file
+ */
+function handleCustomMockupFile(file) {
+  if (!file) return;
+
+  if (!validateFileType(file, UPLOAD_CONFIG.ACCEPTED_TYPES) ||
+      !validateFileSize(file, UPLOAD_CONFIG.MAX_FILE_SIZE)) {
+    alert(`Mockup photos need to be PNG, JPEG or WebP, up to ${formatFileSize(UPLOAD_CONFIG.MAX_FILE_SIZE)}.`);
+    return;
+  }
+
+  const url = URL.createObjectURL(file);
+  const img = new Image();
+
+  img.onload = () => {
+    URL.revokeObjectURL(url);
+    startCustomMockupDraft(img, file.name);
+  };
+  img.onerror = () => {
+    URL.revokeObjectURL(url);
+    alert('Failed to load image!');
+  };
+
+  img.src = url;
+}
+
+/**
+ * Prepare a photo and open the Add Mockup form for it
+ * @param {HTMLImageElement} img - Loaded photo
+ * @param {string} fileName - Used as the default name
+ */
+function startCustomMockupDraft(img, fileName) {
+  const canvas = padMockupImage(img);
+  const keyColor = detectKeyColor(canvas);
+
+  customMockupState.draft = { canvas, keyColor, analysis: null };
+
+  document.getElementById('customMockupKey').value = keyColor;
+  document.getElementById('customMockupName').value = fileName.replace(/\.[^.]+$/, '');
+  document.getElementById('customMockupForm').style.display = 'block';
+  updateCustomMockupPreview();
+}
+
+/**
+ * Centre a photo on a transparent square (mockups are composited square)
+ * and scale it down to MOCKUP_CONFIG.CUSTOM.MAX_SIZE
+ * @param {HTMLImageElement} img - Photo
+ * @returns {HTMLCanvasElement} Square canvas
+ */
+function padMockupImage(img) {
+  const side = Math.max(img.naturalWidth, img.naturalHeight);
+  const fit = Math.min(1, MOCKUP_CONFIG.CUSTOM.MAX_SIZE / side);
+  const size = Math.round(side * fit);
+  const width = img.naturalWidth * fit;
+  const height = img.naturalHeight * fit;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(img, (size - width) / 2, (size - height) / 2, width, height);
+
+  return canvas;
+}
+
+/**
+ * Find the key area of a photo at preview size
+ * @param {HTMLCanvasElement} canvas - Square mockup photo
+ * @param {string} color - Key color name
+ * @returns {object|null} { imageData, amounts, coverage, bounds } - bounds is
+ *   [x0, y0, x1, y1] (0-1) around the fully keyed pixels, or null if none
+ */
+function analyzeMockupKey(canvas, color) {
+  const size = MOCKUP_CONFIG.CUSTOM.PREVIEW_SIZE;
+  const imageData = readPixels(canvas, size);
+  if (!imageData) return null;
+
+  const amounts = getKeyAmounts(imageData.data, { color, tolerance: canvasState.keyTolerance });
+  let count = 0;
+  let x0 = size;
+  let y0 = size;
+  let x1 = -1;
+  let y1 = -1;
+
+  for (let p = 0; p < amounts.length; p++) {
+    if (amounts[p] < 0.5) continue;
+
+    const x = p % size;
+    const y = Math.floor(p / size);
+    count++;
+    x0 = Math.min(x0, x);
+    y0 = Math.min(y0, y);
+    x1 = Math.max(x1, x);
+    y1 = Math.max(y1, y);
+  }
+
+  return {
+    imageData,
+    amounts,
+    coverage: count / amounts.length,
+    bounds: count
+      ? [x0 / size, y0 / size, (x1 + 1) / size, (y1 + 1) / size].map(v => roundTo(v, 3))
+      : null
+  };
+}
+
+/**
+ * Guess a photo's key color - whichever keys out the most
+ * @param {HTMLCanvasElement} canvas - Square mockup photo
+ * @returns {string} Key color name
+ */
+function detectKeyColor(canvas) {
+  let best = MOCKUP_CONFIG.CHROMA_KEY.DEFAULT_COLOR;
+  let bestCoverage = 0;
+
+  Object.keys(MOCKUP_CONFIG.CHROMA_KEY.COLORS).forEach((color) => {
+    const analysis = analyzeMockupKey(canvas, color);
+    if (analysis && analysis.coverage > bestCoverage) {
+      best = color;
+      bestCoverage = analysis.coverage;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Redraw the key area preview for the draft photo
+ * Keyed pixels are tinted with the highlight color and the print area
+ * bounds are outlined.
+ */
+function updateCustomMockupPreview() {
+  const draft = customMockupState.draft;
+  const preview = document.getElementById('customMockupPreview');
+  const status = document.getElementById('customMockupStatus');
+  const saveBtn = document.getElementById('customMockupSave');
+
+  const analysis = analyzeMockupKey(draft.canvas, draft.keyColor);
+  draft.analysis = analysis;
+
+  const size = MOCKUP_CONFIG.CUSTOM.PREVIEW_SIZE;
+  preview.width = size;
+  preview.height = size;
+  const ctx = preview.getContext('2d');
+  ctx.clearRect(0, 0, size, size);
+
+  if (!analysis) {
+    status.textContent = 'This photo could not be read.';
+    saveBtn.disabled = true;
+    return;
+  }
+
+  const [hr, hg, hb] = MOCKUP_CONFIG.CUSTOM.HIGHLIGHT;
+  const pixels = analysis.imageData.data;
+
+  for (let p = 0, i = 0; p < analysis.amounts.length; p++, i += 4) {
+    const amount = analysis.amounts[p];
+    if (amount <= 0) continue;
+
+    pixels[i] = lerp(pixels[i], hr, amount);
+    pixels[i + 1] = lerp(pixels[i + 1], hg, amount);
+    pixels[i + 2] = lerp(pixels[i + 2], hb, amount);
+  }
+
+  ctx.putImageData(analysis.imageData, 0, 0);
+
+  const found = analysis.bounds && analysis.coverage >= MOCKUP_CONFIG.CUSTOM.MIN_COVERAGE;
+
+  if (found) {
+    const [x0, y0, x1, y1] = analysis.bounds;
+    ctx.setLineDash([6, 4]);
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = '#ffffff';
+    ctx.strokeRect(x0 * size, y0 * size, (x1 - x0) * size, (y1 - y0) * size);
+
+    status.textContent = `Key area: ${Math.round(analysis.coverage * 100)}% of the photo`;
+  } else {
+    status.textContent = 'No key area found - try another key color or raise Key Tolerance.';
+  }
+
+  saveBtn.disabled = !found;
+}
+
+/**
+ * Save the draft as a custom mockup and switch to it
+ */
+async function saveCustomMockup() {
+  const draft = customMockupState.draft;
+  if (!draft || !draft.analysis || !draft.analysis.bounds) return;
+
+  const name = document.getElementById('customMockupName').value.trim();
+  const width = parseFloat(document.getElementById('customMockupWidth').value);
+  const height = parseFloat(document.getElementById('customMockupHeight').value);
+  const unit = document.getElementById('customMockupUnit').value;
+
+  if (!name) {
+    alert('Give your mockup a name first!');
+    return;
+  }
+  if (!(width > 0) || !(height > 0)) {
+    alert('Enter the real width and height of the print area.');
+    return;
+  }
+
+  const image = await new Promise(resolve => draft.canvas.toBlob(resolve, 'image/png'));
+  if (!image) {
+    alert('This photo could not be saved.');
+    return;
+  }
+
+  const id = `custom-${Date.now()}`;
+  const record = {
+    id,
+    timestamp: new Date().toISOString(),
+    image,
+    entry: {
+      id,
+      label: name,
+      keyColor: draft.keyColor,
+      printArea: { width, height, unit, bounds: draft.analysis.bounds },
+      rotation: 0,
+      custom: true
+    }
+  };
+
+  try {
+    await useCustomMockupStore('readwrite', store => store.put(record));
+  } catch (e) {
+    console.error('Could not save custom mockup:', e);
+    alert('Could not save the mockup - browser storage may be full or turned off.');
+    return;
+  }
+
+  addCustomMockup(record);
+  closeCustomMockupDraft();
+  renderCustomMockups();
+
+  const viewMode = document.getElementById('viewMode');
+  viewMode.value = id;
+  viewMode.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Close the Add Mockup form without saving
+ */
+function closeCustomMockupDraft() {
+  customMockupState.draft = null;
+  document.getElementById('customMockupForm').style.display = 'none';
+  document.getElementById('customMockupName').value = '';
+  document.getElementById('customMockupWidth').value = '';
+  document.getElementById('customMockupHeight').value = '';
+}
+
+/**
+ * Delete a saved custom mockup
+ * @param {string} id - Mockup id
+ */
+async function deleteCustomMockup(id) {
+  if (!confirm('Delete this mockup?')) return;
+
+  try {
+    await useCustomMockupStore('readwrite', store => store.delete(id));
+  } catch (e) {
+    console.error('Could not delete custom mockup:', e);
+    return;
+  }
+
+  removeCustomMockup(id);
+  renderCustomMockups();
+}
+
+/**
+ * Render the saved custom mockups list
+ */
+function renderCustomMockups() {
+  const list = document.getElementById('customMockupList');
+  list.innerHTML = '';
+
+  customMockupState.records.forEach((record) => {
+    const entry = record.entry;
+    const area = entry.printArea;
+
+    const item = document.createElement('div');
+    item.className = 'saved-pattern-item';
+
+    const thumb = document.createElement('img');
+    thumb.className = 'saved-pattern-thumb';
+    thumb.src = customMockupState.urls[record.id];
+
+    const info = document.createElement('div');
+    info.className = 'saved-pattern-info';
+
+    const name = document.createElement('div');
+    name.className = 'saved-pattern-name';
+    name.textContent = entry.label;
+
+    const size = document.createElement('div');
+    size.className = 'saved-pattern-date';
+    size.textContent = `${area.width} × ${area.height} ${area.unit}`;
+
+    info.appendChild(name);
+    info.appendChild(size);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'saved-pattern-delete';
+    deleteBtn.textContent = '🗑️';
+    deleteBtn.onclick = (e) => {
+      e.stopPropagation();
+      deleteCustomMockup(record.id);
+    };
+
+    item.appendChild(thumb);
+    item.appendChild(info);
+    item.appendChild(deleteBtn);
+
+    item.onclick = () => {
+      const viewMode = document.getElementById('viewMode');
+      viewMode.value = record.id;
+      viewMode.dispatchEvent(new Event('change'));
+    };
+
+    list.appendChild(item);
+  });
+}
@@ -10,78 +10,92 @@ This file handles the easter egg functionality:
 
 /**
 
-- Music playlist
+- Music playlist (files in the audio asset folder; hosted: only in the
+  hosted copy, not bundled)
   */
   const playlist = [
   {
-  title: ‘Capone’,
-  artist: ‘Hey Pluto’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/capone.mp3’
+  title: 'Capone',
+  artist: 'Hey Pluto',
+  file: 'capone.mp3',
+  hosted: true
   },
   {
-  title: ‘Count’,
-  artist: ‘Fonss’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/count.mp3’
+  title: 'Count',
+  artist: 'Fonss',
+  file: 'count.mp3',
+  hosted: true
   },
   {
-  title: ‘Falling Softly’,
-  artist: ‘Richard Smithson’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/falling%20softly.mp3’
+  title: 'Falling Softly',
+  artist: 'Richard Smithson',
+  file: 'falling softly.mp3',
+  hosted: true
   },
   {
-  title: ‘Fluid’,
-  artist: ‘Mountaineer’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/fluid.mp3’
+  title: 'Fluid',
+  artist: 'Mountaineer',
+  file: 'fluid.mp3',
+  hosted: true
   },
   {
-  title: ‘I Wanna Take Your Body Higher’,
-  artist: ‘SkyGaze’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/i%20wanna%20take%20your%20body%20higher.mp3’
+  title: 'I Wanna Take Your Body Higher',
+  artist: 'SkyGaze',
+  file: 'i wanna take your body higher.mp3',
+  hosted: true
   },
   {
-  title: ‘Journey’,
-  artist: ‘Tatami’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/journey.mp3’
+  title: 'Journey',
+  artist: 'Tatami',
+  file: 'journey.mp3',
+  hosted: true
   },
   {
-  title: ‘Moments’,
-  artist: ‘Tatami’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/moments.mp3’
+  title: 'Moments',
+  artist: 'Tatami',
+  file: 'moments.mp3',
+  hosted: true
   },
   {
-  title: ‘Stardrive’,
-  artist: ‘Simon Folwar’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/stardrive.mp3’
+  title: 'Stardrive',
+  artist: 'Simon Folwar',
+  file: 'stardrive.mp3',
+  hosted: true
   },
   {
-  title: ‘Sunset In Junipero’,
-  artist: ‘Bach’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/sunset%20in%20junipero.mp3’
+  title: 'Sunset In Junipero',
+  artist: 'Bach',
+  file: 'sunset in junipero.mp3',
+  hosted: true
   },
   {
-  title: ‘I Know’,
-  artist: ‘Matrika’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/IKnow.mp3’
+  title: 'I Know',
+  artist: 'Matrika',
+  file: 'IKnow.mp3',
+  hosted: true
   },
   {
-  title: ‘Other Worlds’,
-  artist: ‘Carpetman’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/OtherWorlds.mp3’
+  title: 'Other Worlds',
+  artist: 'Carpetman',
+  file: 'OtherWorlds.mp3',
+  hosted: true
   },
   {
-  title: ‘JaffaDays’,
-  artist: ‘ToneBreak’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/JaffaDays.mp3’
+  title: 'JaffaDays',
+  artist: 'ToneBreak',
+  file: 'JaffaDays.mp3'
   },
   {
-  title: ‘Baby Blue’,
-  artist: ‘Action Bronson’,
-  url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/secret%20stash/BabyBlue.mp3’
+  title: 'Baby Blue',
+  artist: 'Action Bronson',
+  file: 'BabyBlue.mp3',
+  hosted: true
   }
   ];
 
-let shuffledPlaylist = […playlist];
+let shuffledPlaylist = [...playlist];
 let currentTrackIndex = 0;
+let failedTracks = 0;
 let matrixActive = false;
 let matrixInterval = null;
 
@@ -92,18 +106,18 @@ let matrixInterval = null;
   function initEasterEgg() {
   shufflePlaylist();
 
-const easterEgg = document.getElementById(‘easterEgg’);
-const easterEggOverlay = document.getElementById(‘easterEggOverlay’);
-const easterEggLogo = document.getElementById(‘easterEggLogo’);
-const matrixCanvas = document.getElementById(‘matrixCanvas’);
-const audio = document.getElementById(‘easterEggAudio’);
+const easterEgg = document.getElementById('easterEgg');
+const easterEggOverlay = document.getElementById('easterEggOverlay');
+const easterEggLogo = document.getElementById('easterEggLogo');
+const matrixCanvas = document.getElementById('matrixCanvas');
+const audio = document.getElementById('easterEggAudio');
 
 // Click footer credit to trigger
-easterEgg.addEventListener(‘click’, () => {
+easterEgg.addEventListener('click', () => {
 if (matrixActive) return;
 
-```
 matrixActive = true;
+failedTracks = 0;
 easterEggOverlay.classList.add('visible');
 playRandomTrack();
 
@@ -118,15 +132,13 @@ setTimeout(() => {
     startMatrix();
   }, 500);
 }, 1000);
-```
 
 });
 
 // Click overlay to close
-easterEggOverlay.addEventListener(‘click’, () => {
+easterEggOverlay.addEventListener('click', () => {
 if (!matrixActive) return;
 
-```
 matrixActive = false;
 matrixCanvas.classList.remove('visible');
 stopMatrix();
@@ -141,26 +153,24 @@ setTimeout(() => {
     easterEggLogo.style.animation = 'spin-in 1s ease-out forwards, egg-glow 2s ease-in-out infinite 1s';
   }, 1000);
 }, 500);
-```
 
 });
 
 // Track ended - play next
-audio.addEventListener(‘ended’, () => {
+audio.addEventListener('ended', () => {
 if (matrixActive) {
 playRandomTrack();
 }
 });
 
 // Media session handlers for iOS Dynamic Island
-if (‘mediaSession’ in navigator) {
-navigator.mediaSession.setActionHandler(‘play’, () => {
+if ('mediaSession' in navigator) {
+navigator.mediaSession.setActionHandler('play', () => {
 if (matrixActive && audio.paused) {
 audio.play();
 }
 });
 
-```
 navigator.mediaSession.setActionHandler('pause', () => {
   if (matrixActive) {
     audio.pause();
@@ -179,7 +189,6 @@ navigator.mediaSession.setActionHandler('previoustrack', () => {
     playRandomTrack();
   }
 });
-```
 
 }
 }
@@ -189,7 +198,7 @@ navigator.mediaSession.setActionHandler('previoustrack', () => {
 - Shuffle playlist
   */
   function shufflePlaylist() {
-  for (let i = shuffledPlaylist.length - 1; i > 0; i–) {
+  for (let i = shuffledPlaylist.length - 1; i > 0; i--) {
   const j = Math.floor(Math.random() * (i + 1));
   [shuffledPlaylist[i], shuffledPlaylist[j]] = [shuffledPlaylist[j], shuffledPlaylist[i]];
   }
@@ -208,25 +217,31 @@ navigator.mediaSession.setActionHandler('previoustrack', () => {
 const track = shuffledPlaylist[currentTrackIndex];
 currentTrackIndex++;
 
-const audio = document.getElementById(‘easterEggAudio’);
-audio.src = track.url;
-audio.volume = 0;
-audio.loop = false;
+const audio = document.getElementById('easterEggAudio');
+
+loadAsset('audio', 'audio', track.file, !!track.hosted).then(({ url }) => {
+  if (!matrixActive) return;
+
+  audio.src = url;
+  audio.volume = 0;
+  audio.loop = false;
+  return audio.play();
+}).then(() => {
+if (!matrixActive) return;
+failedTracks = 0;
 
-audio.play().then(() => {
 // Update Media Session metadata
-if (‘mediaSession’ in navigator) {
+if ('mediaSession' in navigator) {
 navigator.mediaSession.metadata = new MediaMetadata({
 title: track.title,
 artist: track.artist,
-album: ‘Secret Stash’,
+album: 'Secret Stash',
 artwork: [
-{ src: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/icons/nova.png’, sizes: ‘512x512’, type: ‘image/png’ }
+{ src: getAssetUrl('icons', EASTER_EGG_CONFIG.ICON_FILE), sizes: '512x512', type: 'image/png' }
 ]
 });
 }
 
-```
 // Fade in
 let vol = 0;
 const fadeIn = setInterval(() => {
@@ -237,11 +252,12 @@ const fadeIn = setInterval(() => {
     clearInterval(fadeIn);
   }
 }, 100);
-```
 
 }).catch(err => {
-console.log(‘Audio play failed:’, err);
-if (matrixActive) {
+console.log('Audio play failed:', err);
+failedTracks++;
+// Stop once every track has failed in a row (e.g. offline with no bundled music)
+if (matrixActive && failedTracks < playlist.length) {
 playRandomTrack();
 }
 });
@@ -252,7 +268,7 @@ playRandomTrack();
 - Stop music with fade out
   */
   function stopMusic() {
-  const audio = document.getElementById(‘easterEggAudio’);
+  const audio = document.getElementById('easterEggAudio');
 
 if (!audio.paused) {
 let vol = audio.volume;
@@ -274,12 +290,12 @@ audio.currentTime = 0;
 - Start Matrix animation
   */
   function startMatrix() {
-  const canvas = document.getElementById(‘matrixCanvas’);
-  const ctx = canvas.getContext(‘2d’);
+  const canvas = document.getElementById('matrixCanvas');
+  const ctx = canvas.getContext('2d');
   canvas.width = window.innerWidth;
   canvas.height = window.innerHeight;
 
-const msg = ‘CREATED BY RUDEBOY’;
+const msg = 'CREATED BY RUDEBOY';
 const fontSize = Math.ceil(canvas.width / msg.length);
 const drops = [];
 const dropSpeeds = [];
@@ -291,7 +307,7 @@ dropSpeeds[i] = 0.5 + Math.random() * 1.5;
 
 let messageMode = false;
 let activeWords = [];
-const words = [‘CREATED’, ‘BY’, ‘RUDEBOY’];
+const words = ['CREATED', 'BY', 'RUDEBOY'];
 const wordStartPositions = [0, 8, 11];
 const wordLengths = [7, 2, 7];
 let messageTimer = 0;
@@ -300,14 +316,13 @@ let currentSpeed = 50;
 
 function draw() {
 if (messageMode) {
-ctx.fillStyle = ‘rgba(0, 0, 0, 0.05)’;
+ctx.fillStyle = 'rgba(0, 0, 0, 0.05)';
 } else {
-ctx.fillStyle = ‘rgba(0, 0, 0, 0.25)’;
+ctx.fillStyle = 'rgba(0, 0, 0, 0.25)';
 }
 ctx.fillRect(0, 0, canvas.width, canvas.height);
-ctx.font = fontSize + ‘px monospace’;
+ctx.font = fontSize + 'px monospace';
 
-```
 if (!messageMode) {
   messageTimer += currentSpeed;
   if (messageTimer >= MESSAGE_INTERVAL) {
@@ -394,7 +409,6 @@ if (messageMode) {
     }
   }
 }
-```
 
 }
 
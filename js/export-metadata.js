@@ -0,0 +1,246 @@
+/* ============================================================================
+EXPORT-METADATA.JS - Resolution & Credit Metadata for Exports
+
+Canvas exports carry no resolution, so print shops open them at 72 DPI and
+size them wrong. This file writes it into the encoded file:
+
+- PNG: a pHYs chunk (pixels per meter), plus tEXt / iTXt chunks for the
+  author and copyright
+- JPEG: the JFIF density fields, plus an XMP packet for the author and
+  copyright
+
+Everything works on the encoded bytes, so it runs after toBlob().
+============================================================================ */
+
+/**
+ * Write resolution and credits into an exported image
+ * @param {Blob} blob - PNG or JPEG from the canvas
+ * @param {object} metadata - { dpi, author, copyright } - author/copyright optional
+ * @returns {Promise<Blob>} New blob (the original if the format isn't recognised)
+ */
+async function addImageMetadata(blob, metadata) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+
+  let output = null;
+  if (blob.type === 'image/png') {
+    output = addPngMetadata(bytes, metadata);
+  } else if (blob.type === 'image/jpeg') {
+    output = addJpegMetadata(bytes, metadata);
+  }
+
+  return output ? new Blob([output], { type: blob.type }) : blob;
+}
+
+/* ==========================================================================
+PNG
+========================================================================== */
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+/**
+ * Insert pHYs and text chunks after IHDR (any existing pHYs is replaced)
+ * @param {Uint8Array} bytes - Encoded PNG
+ * @param {object} metadata - { dpi, author, copyright }
+ * @returns {Uint8Array|null} New PNG, or null if it isn't a PNG
+ */
+function addPngMetadata(bytes, metadata) {
+  if (!PNG_SIGNATURE.every((value, i) => bytes[i] === value)) return null;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [bytes.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+
+    if (type !== 'pHYs') parts.push(bytes.subarray(offset, end));
+
+    if (type === 'IHDR') {
+      parts.push(createPngPhysChunk(metadata.dpi));
+      getMetadataCredits(metadata).forEach(([keyword, text]) => {
+        parts.push(createPngTextChunk(keyword, text));
+      });
+    }
+
+    offset = end;
+  }
+
+  return concatBytes(parts);
+}
+
+/**
+ * pHYs chunk - resolution in pixels per meter
+ */
+function createPngPhysChunk(dpi) {
+  const data = new Uint8Array(9);
+  const view = new DataView(data.buffer);
+  const perMeter = Math.round(dpi / 0.0254);
+  view.setUint32(0, perMeter);
+  view.setUint32(4, perMeter);
+  data[8] = 1;
+  return createPngChunk('pHYs', data);
+}
+
+/**
+ * tEXt chunk, or iTXt (UTF-8) when the text isn't Latin-1
+ */
+function createPngTextChunk(keyword, text) {
+  const keywordBytes = latin1Bytes(keyword);
+
+  if (/^[\x20-\x7e\xa0-\xff\n]*$/.test(text)) {
+    return createPngChunk('tEXt', concatBytes([keywordBytes, [0], latin1Bytes(text)]));
+  }
+
+  // keyword, null, compression flag + method, empty language and translated keyword
+  return createPngChunk('iTXt', concatBytes([
+    keywordBytes, [0, 0, 0, 0, 0], new TextEncoder().encode(text)
+  ]));
+}
+
+/**
+ * Wrap data in a chunk: length, type, data, CRC of type + data
+ */
+function createPngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  chunk.set(latin1Bytes(type), 4);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+let crcTable = null;
+
+/**
+ * CRC-32 as PNG uses it (table built on first use)
+ */
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/* ==========================================================================
+JPEG
+========================================================================== */
+
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+/**
+ * Set the JFIF density (adding a JFIF segment if there isn't one) and add
+ * an XMP segment after it when there are credits to write
+ * @param {Uint8Array} bytes - Encoded JPEG
+ * @param {object} metadata - { dpi, author, copyright }
+ * @returns {Uint8Array|null} New JPEG, or null if it isn't a JPEG
+ */
+function addJpegMetadata(bytes, metadata) {
+  if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
+
+  const density = Math.max(1, Math.min(65535, Math.round(metadata.dpi)));
+  let jfif;
+  let rest;
+
+  if (bytes[2] === 0xff && bytes[3] === 0xe0 && latin1String(bytes.subarray(6, 11)) === 'JFIF\0') {
+    const length = (bytes[4] << 8) | bytes[5];
+    jfif = bytes.slice(2, 4 + length);
+    rest = bytes.subarray(4 + length);
+  } else {
+    jfif = new Uint8Array([
+      0xff, 0xe0, 0, 16, 0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0
+    ]);
+    rest = bytes.subarray(2);
+  }
+
+  // units (1 = dots per inch), X density, Y density
+  const view = new DataView(jfif.buffer, jfif.byteOffset, jfif.byteLength);
+  jfif[11] = 1;
+  view.setUint16(12, density);
+  view.setUint16(14, density);
+
+  const parts = [[0xff, 0xd8], jfif];
+  const credits = getMetadataCredits(metadata);
+  if (credits.length) parts.push(createXmpSegment(metadata.dpi, credits));
+  parts.push(rest);
+
+  return concatBytes(parts);
+}
+
+/**
+ * APP1 segment holding an XMP packet (resolution, creator, rights)
+ */
+function createXmpSegment(dpi, credits) {
+  const escape = text => text.replace(/[<>&"]/g, c => `&#${c.charCodeAt(0)};`);
+  const fields = Object.fromEntries(credits);
+  const resolution = `${Math.round(dpi)}/1`;
+
+  const packet = [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:tiff="http://ns.adobe.com/tiff/1.0/">',
+    `<tiff:XResolution>${resolution}</tiff:XResolution>`,
+    `<tiff:YResolution>${resolution}</tiff:YResolution>`,
+    '<tiff:ResolutionUnit>2</tiff:ResolutionUnit>',
+    fields.Author ? `<dc:creator><rdf:Seq><rdf:li>${escape(fields.Author)}</rdf:li></rdf:Seq></dc:creator>` : '',
+    fields.Copyright ? `<dc:rights><rdf:Alt><rdf:li xml:lang="x-default">${escape(fields.Copyright)}</rdf:li></rdf:Alt></dc:rights>` : '',
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ].join('');
+
+  const payload = concatBytes([latin1Bytes(XMP_HEADER), new TextEncoder().encode(packet)]);
+  const length = payload.length + 2;
+  if (length > 0xffff) return new Uint8Array(0);
+
+  return concatBytes([[0xff, 0xe1, length >> 8, length & 0xff], payload]);
+}
+
+/* ==========================================================================
+HELPERS
+========================================================================== */
+
+/**
+ * Credits worth writing, as [keyword, text] pairs
+ */
+function getMetadataCredits(metadata) {
+  return [
+    ['Author', (metadata.author || '').trim()],
+    ['Copyright', (metadata.copyright || '').trim()]
+  ].filter(([, text]) => text);
+}
+
+/**
+ * Join byte arrays (or plain arrays of bytes)
+ */
+function concatBytes(parts) {
+  const output = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    output.set(part, offset);
+    offset += part.length;
+  });
+  return output;
+}
+
+function latin1Bytes(text) {
+  return Uint8Array.from(text, c => c.charCodeAt(0) & 0xff);
+}
+
+function latin1String(bytes) {
+  return String.fromCharCode(...bytes);
+}
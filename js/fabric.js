@@ -0,0 +1,381 @@
+/* ============================================================================
+FABRIC.JS - Fabric Swatch Mockup
+
+This file draws the Fabric Swatch view mode - the pattern printed on cloth:
+
+- Substrates (cotton, linen, velvet, satin, canvas) from FABRIC_CONFIG
+- A weave texture generated for each substrate (no image files)
+- Color muting - ink on cloth loses saturation and its blacks lift
+- An optional hanging drape that sways the cloth into folds
+- Sheen for the shiny substrates
+
+Weave, folds and sheen follow the realism setting; muting doesn't, since
+it's how the print really reads on that cloth.
+============================================================================ */
+
+/**
+ * Fabric view state
+ * cached is the last rendered swatch; textures holds one weave tile per substrate
+ */
+const fabricState = {
+  cached: null,
+  signature: '',
+  tileImage: null,
+  tileVersion: 0,
+  textures: new Map()
+};
+
+/**
+ * Set up the Fabric card
+ */
+function initFabric() {
+  const substrateSelect = document.getElementById('fabricSubstrate');
+  const drapeSelect = document.getElementById('fabricDrape');
+
+  Object.entries(FABRIC_CONFIG.SUBSTRATES).forEach(([id, substrate]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = `Fabric: ${substrate.label}`;
+    substrateSelect.appendChild(option);
+  });
+
+  substrateSelect.value = canvasState.fabricSubstrate;
+  drapeSelect.value = canvasState.fabricDrape ? 'draped' : 'flat';
+
+  substrateSelect.addEventListener('change', (e) => {
+    canvasState.fabricSubstrate = e.target.value;
+    requestDraw();
+  });
+
+  drapeSelect.addEventListener('change', (e) => {
+    canvasState.fabricDrape = e.target.value === 'draped';
+    requestDraw();
+  });
+}
+
+/**
+ * Draw the Fabric Swatch view
+ * The cloth is only re-rendered when the pattern or a fabric setting changes.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (centred)
+ */
+function drawFabricSwatch(ctx) {
+  const state = fabricState;
+  const width = Math.round(Math.min(canvasState.canvas.width, canvasState.canvas.height) * FABRIC_CONFIG.SIZE_PERCENT);
+  const height = Math.round(width * FABRIC_CONFIG.ASPECT);
+  if (width < 1) return;
+
+  const tile = getTileSize();
+  const margin = Math.ceil(width * FABRIC_CONFIG.DRAPE.DEPTH * 2);
+  const cloth = getCachedRender(state, [
+    width, height, tile.width, tile.height,
+    canvasState.fabricSubstrate, canvasState.fabricDrape, canvasState.mockupRealism,
+    canvasState.repeatType, canvasState.dropRatio, canvasState.latticeClip,
+    canvasState.offsetPercentX, canvasState.offsetPercentY
+  ], () => renderFabricCloth(width, height, margin));
+
+  const blur = width * FABRIC_CONFIG.SHADOW_BLUR;
+  ctx.save();
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+  ctx.shadowBlur = blur;
+  ctx.shadowOffsetY = blur / 2;
+  ctx.drawImage(cloth, -width / 2 - margin, -height / 2 - margin);
+  ctx.restore();
+}
+
+/**
+ * Render the printed cloth
+ * Everything is drawn flat first (print, muting, weave, fold shading, sheen)
+ * so the drape bends it all together.
+ * @param {number} width - Swatch width in pixels
+ * @param {number} height - Swatch height in pixels
+ * @param {number} margin - Room around the swatch for the drape to sway into
+ * @returns {HTMLCanvasElement} Swatch with margin on every side
+ */
+function renderFabricCloth(width, height, margin) {
+  const substrate = FABRIC_CONFIG.SUBSTRATES[canvasState.fabricSubstrate] ||
+    FABRIC_CONFIG.SUBSTRATES[FABRIC_CONFIG.DEFAULT_SUBSTRATE];
+  const strength = canvasState.mockupRealism / 100;
+  const draped = canvasState.fabricDrape;
+
+  const flat = createOffscreenCanvas(width, height);
+  const ctx = flat.getContext('2d');
+  const tile = getTileSize();
+
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  drawPatternToContext(ctx, 0, 0, width, height, tile.width, tile.height);
+
+  muteFabricColors(ctx, width, height, substrate);
+
+  if (strength > 0) {
+    ctx.globalCompositeOperation = 'overlay';
+    ctx.globalAlpha = substrate.texture * strength;
+    ctx.fillStyle = ctx.createPattern(getWeaveTexture(canvasState.fabricSubstrate, substrate), 'repeat');
+    ctx.fillRect(0, 0, width, height);
+
+    if (draped) {
+      ctx.globalAlpha = FABRIC_CONFIG.DRAPE.SHADE * strength;
+      ctx.drawImage(getFoldShading(width, height), 0, 0);
+    }
+
+    if (substrate.sheen) {
+      ctx.globalCompositeOperation = 'screen';
+      ctx.globalAlpha = substrate.sheen * strength;
+      const sheen = ctx.createLinearGradient(0, 0, width, height);
+      sheen.addColorStop(0, 'rgba(255, 255, 255, 0)');
+      sheen.addColorStop(0.35, 'rgba(255, 255, 255, 0.5)');
+      sheen.addColorStop(0.5, 'rgba(255, 255, 255, 0)');
+      sheen.addColorStop(0.7, 'rgba(255, 255, 255, 0.25)');
+      sheen.addColorStop(1, 'rgba(255, 255, 255, 0)');
+      ctx.fillStyle = sheen;
+      ctx.fillRect(0, 0, width, height);
+    }
+
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.globalAlpha = 1;
+  }
+
+  const cloth = document.createElement('canvas');
+  cloth.width = width + margin * 2;
+  cloth.height = height + margin * 2;
+  const clothCtx = cloth.getContext('2d');
+  clothCtx.imageSmoothingEnabled = true;
+  clothCtx.imageSmoothingQuality = 'high';
+
+  if (draped) {
+    drawWarpedImage(clothCtx, flat, width, height, getDrapeMesh(width, height, margin));
+  } else {
+    clothCtx.translate(margin, margin);
+    roundedRect(clothCtx, 0, 0, width, height, FABRIC_CONFIG.CORNER_RADIUS);
+    clothCtx.clip();
+    clothCtx.drawImage(flat, 0, 0);
+  }
+
+  return cloth;
+}
+
+/**
+ * How the cloth changes the ink: less saturation, lifted blacks and (for
+ * pile fabrics) deeper color overall
+ */
+function muteFabricColors(ctx, width, height, substrate) {
+  ctx.save();
+
+  if (substrate.desaturate) {
+    ctx.globalCompositeOperation = 'saturation';
+    ctx.globalAlpha = substrate.desaturate;
+    ctx.fillStyle = '#808080';
+    ctx.fillRect(0, 0, width, height);
+    ctx.globalAlpha = 1;
+  }
+
+  if (substrate.lift) {
+    ctx.globalCompositeOperation = 'screen';
+    ctx.fillStyle = `rgb(${substrate.lift}, ${substrate.lift}, ${substrate.lift})`;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  if (substrate.deepen) {
+    const level = Math.round(255 * (1 - substrate.deepen));
+    ctx.globalCompositeOperation = 'multiply';
+    ctx.fillStyle = `rgb(${level}, ${level}, ${level})`;
+    ctx.fillRect(0, 0, width, height);
+  }
+
+  ctx.restore();
+}
+
+/**
+ * Mesh for the hanging drape
+ * The cloth hangs straight from its top edge; further down it sways into
+ * folds and the hem ripples with them.
+ */
+function getDrapeMesh(width, height, margin) {
+  const { FOLDS, DEPTH, HEM, COLS, ROWS } = FABRIC_CONFIG.DRAPE;
+  const points = [];
+
+  for (let r = 0; r <= ROWS; r++) {
+    const y = r / ROWS * height;
+    const hang = r / ROWS;
+
+    for (let c = 0; c <= COLS; c++) {
+      const x = c / COLS * width;
+      const angle = getFoldAngle(x / width, FOLDS);
+      points.push([
+        margin + x + Math.sin(angle) * DEPTH * width * hang,
+        margin + y + Math.cos(angle) * HEM * height * hang * hang
+      ]);
+    }
+  }
+
+  return { cols: COLS, rows: ROWS, points };
+}
+
+/**
+ * Fold phase across the cloth (shared by the mesh and its shading)
+ * @param {number} x - Position across the cloth (0-1)
+ * @param {number} folds - Folds across the cloth
+ */
+function getFoldAngle(x, folds) {
+  return x * folds * Math.PI * 2 + 0.3;
+}
+
+/**
+ * Fold shading for the overlay pass: light where the cloth is stretched
+ * toward the viewer, dark where it's bunched, fading out toward the top
+ */
+function getFoldShading(width, height) {
+  const map = createOffscreenCanvas(width, height);
+  const ctx = map.getContext('2d');
+  const stops = 64;
+
+  const folds = ctx.createLinearGradient(0, 0, width, 0);
+  for (let i = 0; i <= stops; i++) {
+    const gray = Math.round(128 + 127 * Math.cos(getFoldAngle(i / stops, FABRIC_CONFIG.DRAPE.FOLDS)));
+    folds.addColorStop(i / stops, `rgb(${gray}, ${gray}, ${gray})`);
+  }
+  ctx.fillStyle = folds;
+  ctx.fillRect(0, 0, width, height);
+
+  // Mid-grey is neutral under overlay
+  const fade = ctx.createLinearGradient(0, 0, 0, height);
+  fade.addColorStop(0, 'rgba(128, 128, 128, 1)');
+  fade.addColorStop(1, 'rgba(128, 128, 128, 0)');
+  ctx.fillStyle = fade;
+  ctx.fillRect(0, 0, width, height);
+
+  return map;
+}
+
+/**
+ * Weave texture tile for a substrate (generated once, mid-grey = neutral)
+ * @param {string} id - Substrate id
+ * @param {object} substrate - Substrate from FABRIC_CONFIG.SUBSTRATES
+ * @returns {OffscreenCanvas|HTMLCanvasElement} Repeating tile
+ */
+function getWeaveTexture(id, substrate) {
+  if (fabricState.textures.has(id)) return fabricState.textures.get(id);
+
+  const weave = WEAVES[substrate.weave];
+  const thread = substrate.thread;
+  const size = weave.threads * thread;
+  const random = seededRandom(size);
+  const sample = weave.setup ? weave.setup(random) : null;
+
+  const texture = createOffscreenCanvas(size, size);
+  const ctx = texture.getContext('2d');
+  const image = ctx.createImageData(size, size);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const value = clamp(weave.shade(x / thread, y / thread, sample), -1, 1);
+      const gray = Math.round(128 + value * 100);
+      const index = (y * size + x) * 4;
+      image.data[index] = gray;
+      image.data[index + 1] = gray;
+      image.data[index + 2] = gray;
+      image.data[index + 3] = 255;
+    }
+  }
+
+  ctx.putImageData(image, 0, 0);
+  fabricState.textures.set(id, texture);
+  return texture;
+}
+
+/**
+ * Weave generators
+ * threads is the repeat in threads; shade(x, y) gets the position in
+ * thread widths and returns brightness from -1 (gap) to 1 (top of a thread).
+ */
+const WEAVES = {
+  // One over, one under
+  plain: {
+    threads: 2,
+    shade: (x, y) => shadeInterlacing(x, y, (i, j) => (i + j) % 2 === 0)
+  },
+
+  // Plain weave with uneven (slubbed) threads
+  slub: {
+    threads: 16,
+    setup: random => Array.from({ length: 32 }, () => 0.6 + random() * 0.8),
+    shade: (x, y, slubs) => {
+      const i = Math.floor(x);
+      const j = Math.floor(y);
+      const over = (i + j) % 2 === 0;
+      const thickness = over ? slubs[i % 16] : slubs[16 + (j % 16)];
+      return shadeInterlacing(x, y, (a, b) => (a + b) % 2 === 0) * thickness;
+    }
+  },
+
+  // Two over, two under - the heavy look of canvas and duck
+  basket: {
+    threads: 4,
+    shade: (x, y) => shadeInterlacing(x, y, (i, j) => (Math.floor(i / 2) + Math.floor(j / 2)) % 2 === 0)
+  },
+
+  // Long warp floats, weft showing once every five threads
+  satin: {
+    threads: 5,
+    shade: (x, y) => shadeInterlacing(x, y, (i, j) => ((j * 2 - i) % 5 + 5) % 5 !== 0) * 0.6
+  },
+
+  // Cut pile - soft noise instead of a weave
+  pile: {
+    threads: 32,
+    setup: random => Array.from({ length: 64 }, () => random() * 2 - 1),
+    shade: (x, y, noise) => {
+      const cell = (i, j) => noise[(((j % 8) + 8) % 8) * 8 + (((i % 8) + 8) % 8)];
+      const gx = x / 4;
+      const gy = y / 4;
+      const i = Math.floor(gx);
+      const j = Math.floor(gy);
+      const top = lerp(cell(i, j), cell(i + 1, j), gx - i);
+      const bottom = lerp(cell(i, j + 1), cell(i + 1, j + 1), gx - i);
+      return lerp(top, bottom, gy - j) * 0.8 + (noise[(Math.floor(x * 7) + Math.floor(y * 13)) % 64]) * 0.2;
+    }
+  }
+};
+
+/**
+ * Shade a point of an interlaced weave
+ * Threads are rounded across their width and dip at the ends where they
+ * pass under a crossing thread.
+ * @param {number} x - Position in thread widths
+ * @param {number} y - Position in thread widths
+ * @param {Function} warpOver - (i, j) => whether the vertical thread is on top at cell (i, j)
+ * @returns {number} Brightness (-1 to 1)
+ */
+function shadeInterlacing(x, y, warpOver) {
+  const i = Math.floor(x);
+  const j = Math.floor(y);
+  const over = warpOver(i, j);
+
+  // Across and along the visible thread
+  const across = over ? x - i : y - j;
+  const along = over ? y - j : x - i;
+  const before = over ? warpOver(i, j - 1) : !warpOver(i - 1, j);
+  const after = over ? warpOver(i, j + 1) : !warpOver(i + 1, j);
+
+  let height = Math.sin(Math.PI * across);
+  if (!before) height *= Math.min(1, along / 0.3);
+  if (!after) height *= Math.min(1, (1 - along) / 0.3);
+
+  return height * 2 - 1;
+}
+
+/**
+ * Small seeded random number generator, so textures look the same every time
+ * @param {number} seed - Seed
+ * @returns {Function} () => number in [0, 1)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
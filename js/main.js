@@ -6,9 +6,15 @@ This is the entry point that initializes all modules in the correct order.
 Module initialization order:
 
 1. Canvas (core drawing engine)
+1. Assets (bundled images and icons, hosted fallback)
 1. Mockups (load mockup images)
 1. UI (set up all controls and listeners)
 1. Tools (calculator, color palette, saved patterns)
+1. Custom mockups (user-added mockup library)
+1. Room (wall size for the room mockup)
+1. Fabric (fabric swatch substrate and drape)
+1. Yardage (bolt width, length and printed tile size)
+1. Wallpaper (roll size and pattern match)
 1. Easter Egg (Matrix effect and music)
    ============================================================================ */
 
@@ -28,7 +34,7 @@ Module initialization order:
   function showLoading(reload = false) {
   isReload = reload;
   loadStartTime = Date.now();
-  document.getElementById(‘loadingOverlay’).classList.add(‘visible’);
+  document.getElementById('loadingOverlay').classList.add('visible');
   }
 
 /**
@@ -39,7 +45,7 @@ Module initialization order:
   const elapsed = Date.now() - loadStartTime;
   const remaining = Math.max(0, (isReload ? RELOAD_MIN_TIME : MIN_LOAD_TIME) - elapsed);
   setTimeout(() => {
-  document.getElementById(‘loadingOverlay’).classList.remove(‘visible’);
+  document.getElementById('loadingOverlay').classList.remove('visible');
   }, remaining);
   }
 
@@ -52,6 +58,9 @@ Module initialization order:
   // Initialize canvas first (core functionality)
   initCanvas();
 
+// Check the page's bundled images and icons (falls back to the hosted copy)
+loadPageAssets();
+
 // Load mockup images (async, non-blocking)
 loadMockupImages();
 
@@ -61,6 +70,21 @@ initUI();
 // Initialize tools (color palette, calculator, saved patterns)
 initTools();
 
+// Load user-added mockups and set up the Add Mockup card
+initCustomMockups();
+
+// Set up the room mockup's wall size
+initRoom();
+
+// Set up the fabric swatch's substrate and drape
+initFabric();
+
+// Set up the yardage view's bolt and tile size
+initYardage();
+
+// Set up the wallpaper view's roll and match
+initWallpaper();
+
 // Initialize easter egg
 initEasterEgg();
 
@@ -73,9 +97,9 @@ setupLogoReload();
 - Set up logo click to reload page
   */
   function setupLogoReload() {
-  const logo = document.getElementById(‘logo’);
+  const logo = document.getElementById('logo');
 
-logo.addEventListener(‘click’, () => {
+logo.addEventListener('click', () => {
 showLoading(true);
 setTimeout(() => location.reload(), 2800);
 });
@@ -85,4 +109,4 @@ setTimeout(() => location.reload(), 2800);
 
 - Start the app when DOM is ready
   */
-  document.addEventListener(‘DOMContentLoaded’, init);
\ No newline at end of file
+  document.addEventListener('DOMContentLoaded', init);
\ No newline at end of file
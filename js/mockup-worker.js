@@ -0,0 +1,94 @@
+/* ============================================================================
+MOCKUP-WORKER.JS - Off-Thread Mockup Compositing
+
+Runs compositor.js inside a Web Worker so mockup zoom, rotate and pattern
+scale never block the page. The page sends:
+
+- { type: 'tile', bitmap }              - the current pattern tile
+- { type: 'mockup', key, bitmap }       - a mockup image (sent once)
+- { type: 'mask', key, bitmap }         - a mockup's alpha mask, if it has one
+- { type: 'render', id, key, size, settings }
+- { type: 'forget', key }               - a removed mockup
+
+and gets back { type: 'frame', id, bitmap } or { type: 'error', id, message }.
+============================================================================ */
+
+/**
+ * Worker copy of the canvas settings that repeat.js reads
+ * Filled in from each render request
+ */
+const canvasState = {
+  tileImage: null,
+  repeatType: 'full',
+  dropRatio: 0.5,
+  latticeClip: true,
+  offsetPercentX: 0,
+  offsetPercentY: 0,
+  zoom: 1
+};
+
+importScripts('config.js', 'utils.js', 'repeat.js', 'warp.js', 'compositor.js');
+
+/**
+ * Mockup and mask bitmaps received from the page
+ */
+const workerMockups = {};
+const workerMasks = {};
+
+self.onmessage = (e) => {
+  const message = e.data;
+
+  switch (message.type) {
+    case 'tile':
+      canvasState.tileImage = message.bitmap;
+      break;
+    case 'mockup':
+      workerMockups[message.key] = message.bitmap;
+      break;
+    case 'mask':
+      workerMasks[message.key] = message.bitmap;
+      break;
+    case 'render':
+      renderMockupFrame(message);
+      break;
+    case 'forget':
+      delete workerMockups[message.key];
+      delete workerMasks[message.key];
+      forgetMockupLayers(message.key);
+      break;
+  }
+};
+
+/**
+ * Composite one mockup frame and send it back as an ImageBitmap
+ * @param {object} request - { id, key, size, settings }
+ */
+function renderMockupFrame(request) {
+  const { id, key, size, settings } = request;
+  const mockupImg = workerMockups[key];
+
+  if (!mockupImg || !canvasState.tileImage) {
+    self.postMessage({ type: 'error', id, message: `Missing ${mockupImg ? 'tile' : key} image` });
+    return;
+  }
+
+  Object.assign(canvasState, settings.state);
+
+  const keying = {
+    ...settings.keying,
+    mask: settings.keying.mask ? workerMasks[key] : null
+  };
+
+  const layers = getMockupLayers(key, mockupImg, size, keying);
+  if (!layers) {
+    self.postMessage({ type: 'error', id, message: `${key} mockup could not be read` });
+    return;
+  }
+
+  const output = compositeMockup(layers, size, (ctx) => {
+    drawMockupPatternLayer(ctx, size, settings);
+  }, settings.realism);
+
+  const bitmap = output.transferToImageBitmap();
+  self.postMessage({ type: 'frame', id, bitmap }, [bitmap]);
+}
@@ -1,49 +1,582 @@
 /* ============================================================================
 MOCKUPS.JS - Mockup Image Loading
 
-This file handles loading all mockup images (phone, tote, mug, etc.)
-Images are loaded once at startup and stored in memory
+This file loads the mockup manifest (assets/mockups/manifest.json) and every
+mockup it lists (phone, tote, mug, etc.) through the asset loader. Images
+are loaded once at startup and stored in memory, and the View Mode menu is
+built from the manifest.
+
+A manifest entry looks like:
+
+  {
+    "id": "tote",                   - View Mode value
+    "label": "Tote Bag",            - Menu label
+    "image": "tote.png",            - In the mockups asset folder
+    "mask": "tote-mask.png",        - Optional alpha mask (white = pattern)
+    "keyColor": "green",            - Optional chroma key color
+    "warp": { "type": "quad", ... },         - Optional, see warp.js
+    "printArea": { "width": 15, "height": 16, "unit": "in",
+                   "bounds": [x0, y0, x1, y1] },
+    "rotation": 0                   - Default rotation in degrees
+  }
+
+printArea is the real size of the printable area shown in the image. It
+sits inside the warp, or inside bounds (normalized 0-1 across the image)
+for mockups without one, and sets how big the pattern looks on the product.
+
+It also drives mockup compositing: frames are rendered by
+mockup-worker.js when the browser supports it, and on the page otherwise.
+Exports are composited again on the page at full export resolution.
 ============================================================================ */
 
 /**
+ * Mockup manifest entries, in menu order
+ */
+const mockupManifest = [];
+
+/**
+ * Mockup images and alpha masks by id
+ */
+const mockupImages = {};
+const mockupMasks = {};
+
+/**
+ * Load the mockup manifest, then every mockup image and mask it lists
+ * Files come through the asset loader (bundled copy first), which also
+ * reports any that fail. Without the manifest (file:// pages can't fetch
+ * it) the bare mockups in MOCKUP_CONFIG.FALLBACK_MOCKUPS are used, marked
+ * as such in the view menu.
+ */
+async function loadMockupImages() {
+  let manifest;
+
+  try {
+    ({ value: manifest } = await loadAsset('json', 'mockups', MOCKUP_CONFIG.MANIFEST_FILE));
+  } catch (e) {
+    console.warn('Mockup manifest failed to load, using bare mockups:', e);
+    manifest = { mockups: MOCKUP_CONFIG.FALLBACK_MOCKUPS.map(entry => ({ ...entry, bare: true })) };
+  }
+
+  (manifest.mockups || []).forEach((entry) => {
+    if (!entry.id || !entry.image) {
+      console.warn('Skipping mockup manifest entry without an id or image:', entry);
+      return;
+    }
+
+    mockupManifest.push(entry);
+    loadAsset('image', 'mockups', entry.image)
+      .then(({ value }) => storeMockupImage(entry.id, value, mockupImages))
+      .catch(() => {});
+
+    if (entry.mask) {
+      loadAsset('image', 'mockups', entry.mask)
+        .then(({ value }) => storeMockupImage(entry.id, value, mockupMasks))
+        .catch(() => {});
+    }
+  });
+
+  populateViewModeOptions();
+}
+
+/**
+ * Load a mockup image from a URL (user-added mockups)
+ * @param {string} id - Mockup id
+ * @param {string} url - Image URL
+ * @param {object} store - mockupImages or mockupMasks
+ * @param {string} kind - Name used in the error message
+ */
+function loadMockupImage(id, url, store, kind) {
+  const img = new Image();
+  img.onload = () => storeMockupImage(id, img, store);
+  img.onerror = () => console.error(`${id} ${kind} failed to load`);
+  img.src = url;
+}
+
+/**
+ * Keep a loaded mockup image and redraw if a pattern is showing
+ * @param {string} id - Mockup id
+ * @param {HTMLImageElement} img - Loaded image
+ * @param {object} store - mockupImages or mockupMasks
+ */
+function storeMockupImage(id, img, store) {
+  store[id] = img;
+  if (canvasState.tileImage) drawCanvas();
+}
+
+/**
+ * Look up a mockup's manifest entry
+ * @param {string} id - Mockup id
+ * @returns {object|null} Manifest entry
+ */
+function getMockupEntry(id) {
+  return mockupManifest.find(entry => entry.id === id) || null;
+}
+
+/**
+ * Add a View Mode option for every manifest mockup
+ * Tile views stay first, built-in mockups come before user-added ones and
+ * the fabric swatch stays last.
+ */
+function populateViewModeOptions() {
+  const select = document.getElementById('viewMode');
+  const fabric = select.querySelector('option[value="fabric"]');
+
+  mockupManifest.forEach((entry) => {
+    if (select.querySelector(`option[value="${CSS.escape(entry.id)}"]`)) return;
+
+    const option = document.createElement('option');
+    option.value = entry.id;
+    option.textContent = `Mockup: ${entry.label || entry.id}`;
+    if (entry.bare) {
+      option.textContent += ' (no print area)';
+      option.title = 'The mockup manifest couldn\'t load, so this mockup has no real-size print area or warp';
+    }
+
+    if (entry.custom) {
+      option.dataset.custom = 'true';
+      select.insertBefore(option, fabric);
+    } else {
+      select.insertBefore(option, select.querySelector('option[data-custom]') || fabric);
+    }
+  });
+}
+
+/**
+ * How a mockup's pattern area is found and shaped
+ * Until a configured mask has loaded, the chroma key is used.
+ * @param {string} key - Mockup id
+ * @returns {object} { color, tolerance, mask, warp } - mask is an image or null
+ */
+function getMockupKeying(key) {
+  const entry = getMockupEntry(key) || {};
+  return {
+    color: entry.keyColor || MOCKUP_CONFIG.CHROMA_KEY.DEFAULT_COLOR,
+    tolerance: canvasState.keyTolerance,
+    mask: mockupMasks[key] || null,
+    warp: entry.warp || null
+  };
+}
+
+/**
+ * A mockup's print area in inches
+ * @param {string} key - Mockup id
+ * @returns {object|null} { width, height, bounds } or null if the manifest gives none
+ */
+function getMockupPrintArea(key) {
+  const entry = getMockupEntry(key);
+  const area = entry && entry.printArea;
+  if (!area || !(area.width > 0)) return null;
 
-- Mockup images storage
-  */
-  const mockupImages = {
-  phone: null,
-  bottle: null,
-  tote: null,
-  bandana: null,
-  bedspread: null,
-  ipad: null,
-  mug: null,
-  sweatshirt: null
+  const perUnit = MOCKUP_CONFIG.PRINT_UNITS[area.unit || 'in'];
+  if (!perUnit) {
+    console.warn(`${key} print area has an unknown unit: ${area.unit}`);
+    return null;
+  }
+
+  return {
+    width: area.width * perUnit,
+    height: (area.height || 0) * perUnit,
+    bounds: area.bounds || null
   };
+}
+
+/**
+ * Whether the canvas is showing a manifest (or user-added) mockup
+ */
+function isMockupView() {
+  return !!getMockupEntry(canvasState.viewMode);
+}
 
 /**
+ * Where the pattern sits inside a mockup's print area
+ * @param {string} key - Mockup id
+ * @returns {object} { x, y, scale } - x/y shift as a fraction of the mockup's
+ *   display size, scale on top of the pattern's real size
+ */
+function getMockupPlacement(key) {
+  return canvasState.mockupPlacements[key] || { x: 0, y: 0, scale: 1 };
+}
 
-- Load all mockup images
-  */
-  function loadMockupImages() {
-  const images = [
-  { key: ‘phone’, url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/Mockups/iphone.png’ },
-  { key: ‘bottle’, url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/Mockups/bottle.png’ },
-  { key: ‘tote’, url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/Mockups/tote.png’ },
-  { key: ‘bandana’, url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/Mockups/bandana.png’ },
-  { key: ‘bedspread’, url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/Mockups/bedspread.png’ },
-  { key: ‘ipad’, url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/Mockups/ipad.png’ },
-  { key: ‘mug’, url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/Mockups/mug.png’ },
-  { key: ‘sweatshirt’, url: ‘https://raw.githubusercontent.com/1gby/seamless-checker/main/assets/Mockups/sweatshirt.png’ }
-  ];
-
-images.forEach(({ key, url }) => {
-const img = new Image();
-img.crossOrigin = ‘anonymous’;
-img.src = url;
-img.onload = () => {
-mockupImages[key] = img;
-if (canvasState.tileImage) drawCanvas();
+/**
+ * Move or scale the pattern inside a mockup and remember it
+ * @param {string} key - Mockup id
+ * @param {object} changes - Any of { x, y, scale }
+ */
+function updateMockupPlacement(key, changes) {
+  const placement = { ...getMockupPlacement(key), ...changes };
+  placement.scale = clamp(placement.scale, MOCKUP_CONFIG.PLACEMENT.MIN_SCALE, MOCKUP_CONFIG.PLACEMENT.MAX_SCALE);
+
+  canvasState.mockupPlacements[key] = placement;
+  saveMockupPlacements();
+  requestDraw();
+}
+
+/**
+ * Put the pattern back to its default placement in a mockup
+ * @param {string} key - Mockup id
+ */
+function resetMockupPlacement(key) {
+  delete canvasState.mockupPlacements[key];
+  saveMockupPlacements();
+  requestDraw();
+}
+
+/**
+ * Store every mockup's placement (debounced - drags change it every frame)
+ */
+const saveMockupPlacements = debounce(() => {
+  setStorageItem(STORAGE_CONFIG.PLACEMENTS_KEY, canvasState.mockupPlacements);
+}, MOCKUP_CONFIG.PLACEMENT.SAVE_DELAY);
+
+/**
+ * Mockup compositing state
+ * frame is the last finished mockup; signature describes what it shows
+ */
+const mockupRenderState = {
+  worker: null,
+  workerFailed: false,
+  sentTile: null,
+  sentMockups: new Set(),
+  sentMasks: new Set(),
+  tileImage: null,
+  tileVersion: 0,
+  busy: false,
+  nextId: 0,
+  inFlight: null,
+  pending: null,
+  requested: '',
+  frame: null,
+  frameKey: '',
+  signature: ''
 };
-img.onerror = () => console.error(`${key} mockup failed to load`);
-});
-}
\ No newline at end of file
+
+/**
+ * Get the composited mockup for the current pattern
+ * With a worker this returns the newest finished frame (possibly a step
+ * behind) and asks for a fresh one; drawCanvas() runs again when it lands.
+ * @param {string} key - Mockup name (e.g. 'tote')
+ * @param {HTMLImageElement} mockupImg - Mockup image
+ * @param {number} size - Display size in pixels
+ * @returns {CanvasImageSource|null} Mockup frame, or null if none is ready
+ */
+function getMockupFrame(key, mockupImg, size) {
+  const state = mockupRenderState;
+
+  const keying = getMockupKeying(key);
+  const settings = getMockupRenderSettings(key, keying);
+  const signature = getRenderSignature(state, [key, size, settings]);
+
+  if (state.signature === signature) return state.frame;
+
+  const worker = getMockupWorker();
+
+  if (!worker) {
+    const layers = getMockupLayers(key, mockupImg, size, keying);
+    if (!layers) return null;
+
+    const frame = compositeMockup(layers, size, (ctx) => {
+      drawMockupPatternLayer(ctx, size, settings);
+    }, settings.realism);
+    storeMockupFrame(frame, key, signature);
+    return frame;
+  }
+
+  if (state.requested !== signature) {
+    state.requested = signature;
+    queueMockupRender({
+      key, mockupImg, size, settings, signature,
+      tileImage: canvasState.tileImage,
+      maskImg: keying.mask
+    });
+  }
+
+  // Only show a stale frame of the same mockup
+  return state.frameKey === key ? state.frame : null;
+}
+
+/**
+ * Settings the mockup worker needs to key the mockup and draw the pattern
+ * @param {string} key - Mockup id
+ * @param {object} keying - Keying from getMockupKeying()
+ */
+function getMockupRenderSettings(key, keying) {
+  const tile = getTileSize();
+  return {
+    tileW: tile.width,
+    tileH: tile.height,
+    tileInches: getTileInches(),
+    printArea: getMockupPrintArea(key),
+    placement: getMockupPlacement(key),
+    keying: { color: keying.color, tolerance: keying.tolerance, mask: !!keying.mask },
+    realism: canvasState.mockupRealism,
+    warp: keying.warp,
+    state: {
+      repeatType: canvasState.repeatType,
+      dropRatio: canvasState.dropRatio,
+      latticeClip: canvasState.latticeClip,
+      offsetPercentX: canvasState.offsetPercentX,
+      offsetPercentY: canvasState.offsetPercentY,
+      zoom: canvasState.zoom
+    }
+  };
+}
+
+/**
+ * Keep a finished frame, releasing the previous bitmap
+ */
+function storeMockupFrame(frame, key, signature) {
+  const state = mockupRenderState;
+  if (state.frame && state.frame !== frame && state.frame.close) {
+    state.frame.close();
+  }
+  state.frame = frame;
+  state.frameKey = key;
+  state.signature = signature;
+}
+
+/**
+ * Release everything cached for a mockup that has been removed
+ * @param {string} key - Mockup id
+ */
+function forgetMockup(key) {
+  const state = mockupRenderState;
+  forgetMockupLayers(key);
+
+  if (state.frameKey === key) {
+    storeMockupFrame(null, '', '');
+    state.requested = '';
+  }
+
+  if (state.worker && (state.sentMockups.has(key) || state.sentMasks.has(key))) {
+    state.worker.postMessage({ type: 'forget', key });
+  }
+  state.sentMockups.delete(key);
+  state.sentMasks.delete(key);
+}
+
+/**
+ * Get (or start) the mockup worker
+ * @returns {Worker|null} Worker, or null to composite on the page instead
+ */
+function getMockupWorker() {
+  const state = mockupRenderState;
+  if (state.worker || state.workerFailed) return state.worker;
+
+  if (typeof Worker === 'undefined' ||
+      typeof OffscreenCanvas === 'undefined' ||
+      typeof createImageBitmap === 'undefined') {
+    state.workerFailed = true;
+    return null;
+  }
+
+  try {
+    state.worker = new Worker(MOCKUP_CONFIG.WORKER_URL);
+  } catch (e) {
+    // Workers can't start from file:// pages in some browsers
+    console.warn('Mockup worker unavailable, compositing on the page:', e);
+    state.workerFailed = true;
+    return null;
+  }
+
+  state.worker.onmessage = handleMockupWorkerMessage;
+  state.worker.onerror = (e) => {
+    console.error('Mockup worker failed:', e.message);
+    stopMockupWorker();
+  };
+
+  return state.worker;
+}
+
+/**
+ * Stop using the worker and fall back to compositing on the page
+ */
+function stopMockupWorker() {
+  const state = mockupRenderState;
+  if (state.worker) state.worker.terminate();
+  state.worker = null;
+  state.workerFailed = true;
+  state.busy = false;
+  state.inFlight = null;
+  state.pending = null;
+  state.requested = '';
+  requestDraw();
+}
+
+/**
+ * Send a render request, or hold it until the worker is free
+ * Only the newest waiting request is kept.
+ */
+function queueMockupRender(request) {
+  if (mockupRenderState.busy) {
+    mockupRenderState.pending = request;
+  } else {
+    sendMockupRender(request);
+  }
+}
+
+/**
+ * Post a render request (and any images the worker hasn't seen yet)
+ */
+async function sendMockupRender(request) {
+  const state = mockupRenderState;
+  const worker = state.worker;
+  if (!worker) return;
+
+  state.busy = true;
+
+  try {
+    if (state.sentTile !== request.tileImage) {
+      const bitmap = await createImageBitmap(request.tileImage);
+      worker.postMessage({ type: 'tile', bitmap }, [bitmap]);
+      state.sentTile = request.tileImage;
+    }
+
+    if (!state.sentMockups.has(request.key)) {
+      const bitmap = await createImageBitmap(request.mockupImg);
+      worker.postMessage({ type: 'mockup', key: request.key, bitmap }, [bitmap]);
+      state.sentMockups.add(request.key);
+    }
+
+    if (request.maskImg && !state.sentMasks.has(request.key)) {
+      const bitmap = await createImageBitmap(request.maskImg);
+      worker.postMessage({ type: 'mask', key: request.key, bitmap }, [bitmap]);
+      state.sentMasks.add(request.key);
+    }
+
+    const id = ++state.nextId;
+    state.inFlight = { id, request };
+    worker.postMessage({
+      type: 'render',
+      id,
+      key: request.key,
+      size: request.size,
+      settings: request.settings
+    });
+  } catch (e) {
+    console.error('Could not send mockup to worker:', e);
+    stopMockupWorker();
+  }
+}
+
+/**
+ * Handle a finished (or failed) frame from the worker
+ */
+function handleMockupWorkerMessage(e) {
+  const state = mockupRenderState;
+  const { type, id, bitmap, message } = e.data;
+  const inFlight = state.inFlight;
+
+  if (!inFlight || inFlight.id !== id) return;
+
+  state.busy = false;
+  state.inFlight = null;
+
+  if (type !== 'frame') {
+    // Composite on the page instead, so the frame isn't left blank
+    console.error('Mockup worker error:', message);
+    stopMockupWorker();
+    return;
+  }
+
+  storeMockupFrame(bitmap, inFlight.request.key, inFlight.request.signature);
+  requestDraw();
+
+  if (state.pending) {
+    const next = state.pending;
+    state.pending = null;
+    sendMockupRender(next);
+  }
+}
+
+
+/**
+ * Export the current mockup
+ * It's composited again from the source image at the export size (on the
+ * page, not the worker), so nothing is upscaled from the screen. The room
+ * mockup is drawn again at the export size the same way.
+ * @param {string} key - Mockup id, or 'room'
+ * @param {number} exportSize - Side of the (square) export in pixels
+ * @param {string} format - 'png' or 'jpg'
+ * @param {boolean} transparent - Leave the background clear (PNG only)
+ * @param {object} metadata - { dpi, author, copyright } written into the file
+ */
+function exportMockup(key, exportSize, format, transparent, metadata = getExportMetadata()) {
+  const entry = getMockupEntry(key);
+  const label = key === 'room' ? 'wall' : entry && mockupImages[key] && (entry.label || key);
+  if (!canvasState.tileImage || !label) return;
+
+  showLoading(false);
+
+  setTimeout(async () => {
+    try {
+      const canvas = renderMockupExport(key, exportSize, getExportBackground(format, transparent));
+      await saveExportCanvas(
+        canvas,
+        `${EXPORT_CONFIG.FILENAME_PREFIX}-${key}-${canvas.width}x${canvas.height}px`,
+        format,
+        `Check out my pattern on a ${label}!`,
+        metadata
+      );
+    } catch (e) {
+      console.error('Mockup export failed:', e);
+      alert('Export failed - try a smaller size.');
+    }
+
+    hideLoading();
+  }, 100);
+}
+
+/**
+ * Render a mockup for export, turned by the current rotation
+ * The mockup is shrunk just enough that its rotated corners stay inside.
+ * @param {string} key - Mockup id, or 'room'
+ * @param {number} exportSize - Side of the export in pixels
+ * @param {string|null} background - Fill color, or null for transparent
+ * @returns {HTMLCanvasElement} Finished export
+ */
+function renderMockupExport(key, exportSize, background) {
+  const angle = canvasState.mockupRotate * Math.PI / 180;
+  const size = Math.round(exportSize / (Math.abs(Math.cos(angle)) + Math.abs(Math.sin(angle))));
+  const mockup = key === 'room' ? renderRoomScene(size) : compositeMockupExport(key, size);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = exportSize;
+  canvas.height = exportSize;
+  const ctx = canvas.getContext('2d');
+
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, exportSize, exportSize);
+  }
+
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.translate(exportSize / 2, exportSize / 2);
+  ctx.rotate(angle);
+  ctx.drawImage(mockup, -size / 2, -size / 2);
+
+  return canvas;
+}
+
+/**
+ * Composite a manifest mockup at an export size
+ * @param {string} key - Mockup id
+ * @param {number} size - Size in pixels
+ * @returns {CanvasImageSource} Finished mockup
+ */
+function compositeMockupExport(key, size) {
+  const keying = getMockupKeying(key);
+  const settings = getMockupRenderSettings(key, keying);
+  const layers = buildMockupLayers(mockupImages[key], size, keying);
+  if (!layers) throw new Error(`Mockup ${key} could not be read`);
+
+  // Without a print area the tile follows the screen, so keep it the same
+  // size relative to the mockup as on screen
+  const screenScale = size / Math.max(1, getMockupDisplaySize());
+  settings.tileW *= screenScale;
+  settings.tileH *= screenScale;
+
+  return compositeMockup(layers, size, (ctx) => {
+    drawMockupPatternLayer(ctx, size, settings);
+  }, settings.realism);
+}
@@ -4,9 +4,11 @@ PATTERNS.JS - Pattern Loading, Processing & Export
 This file handles:
 
 - Loading images from files
-- Loading images from URLs (samples)
+- Loading sample patterns (through the asset loader)
 - Processing and validating images
 - Exporting patterns at custom resolutions
+- Exporting a single repeat unit for print-on-demand upload
+- Saving exports with their DPI and credits written in (export-metadata.js)
   ============================================================================ */
 
 /**
@@ -22,7 +24,6 @@ const reader = new FileReader();
 reader.onload = (e) => {
 const img = new Image();
 
-```
 img.onload = () => {
   processImage(img);
 };
@@ -33,7 +34,6 @@ img.onerror = () => {
 };
 
 img.src = e.target.result;
-```
 
 };
 
@@ -41,24 +41,34 @@ reader.readAsDataURL(file);
 }
 
 /**
+ * Fill the Sample menu from SAMPLES_CONFIG
+ */
+function populateSampleOptions() {
+  const sampleSelect = document.getElementById('sampleSelect');
+
+  SAMPLES_CONFIG.SAMPLES.forEach((sample) => {
+    const option = document.createElement('option');
+    option.value = sample.file;
+    option.textContent = sample.name;
+    sampleSelect.appendChild(option);
+  });
+}
 
-- Load image from URL (sample patterns)
-  */
-  function loadImageFromURL(url) {
+/**
+ * Load a sample pattern through the asset loader (bundled copy first,
+ * unless the sample is hosted only)
+ * @param {string} file - File name in the patterns asset folder
+ */
+function loadSamplePattern(file) {
+  const sample = SAMPLES_CONFIG.SAMPLES.find(entry => entry.file === file);
   showLoading(false);
-  const img = new Image();
-  img.crossOrigin = ‘anonymous’;
 
-img.onload = () => {
-processImage(img);
-};
-
-img.onerror = () => {
-hideLoading();
-alert(‘Failed to load sample!’);
-};
-
-img.src = url;
+  loadAsset('image', 'patterns', file, !!(sample && sample.hosted))
+    .then(({ value }) => processImage(value))
+    .catch(() => {
+      hideLoading();
+      alert('Failed to load sample!');
+    });
 }
 
 /**
@@ -67,9 +77,10 @@ img.src = url;
   */
   function processImage(img) {
   canvasState.tileImage = img;
+  syncRepeatTypeControls();
 
-// Auto-scale to reasonable size
-canvasState.scale = Math.max(0.05, Math.min(5, 300 / canvasState.tileImage.width));
+// Auto-scale to reasonable size (longest side)
+canvasState.scale = Math.max(0.05, Math.min(5, 300 / Math.max(img.width, img.height)));
 
 // Update scale slider
 let sliderVal;
@@ -79,100 +90,264 @@ sliderVal = Math.round(((canvasState.scale - 0.05) / 0.95) * 50);
 sliderVal = Math.round(50 + ((canvasState.scale - 1.0) / 4.0) * 50);
 }
 
-document.getElementById(‘patternScale’).value = sliderVal;
-document.getElementById(‘scaleValue’).textContent = canvasState.scale.toFixed(2) + ‘×’;
+document.getElementById('patternScale').value = sliderVal;
+document.getElementById('scaleValue').textContent = canvasState.scale.toFixed(2) + '×';
 
 updateBackground();
 analyzePattern();
-document.getElementById(‘patternInfo’).classList.add(‘visible’);
+document.getElementById('patternInfo').classList.add('visible');
 drawCanvas();
 hideLoading();
 }
 
 /**
-
-- Export pattern at custom resolution
-  */
-  function exportPattern(exportSize, format) {
+ * Export the tiled pattern exactly as the canvas frames it
+ * The export is centred on the view and its long side spans the canvas, so
+ * any width × height shows the same field (Current Canvas matches the screen
+ * pixel for pixel).
+ * @param {number} width - Export width in pixels
+ * @param {number} height - Export height in pixels
+ * @param {string} format - 'png' or 'jpg'
+ * @param {object} metadata - { dpi, author, copyright } written into the file
+ */
+function exportPattern(width, height, format, metadata = getExportMetadata()) {
   if (!canvasState.tileImage) return;
 
-showLoading(false);
+  showLoading(false);
 
-setTimeout(async () => {
-const exportCanvas = document.createElement(‘canvas’);
-exportCanvas.width = exportSize;
-exportCanvas.height = exportSize;
-const exportCtx = exportCanvas.getContext(‘2d’);
-
-```
-exportCtx.imageSmoothingEnabled = true;
-exportCtx.imageSmoothingQuality = 'high';
-
-const tileSize = canvasState.tileImage.width * canvasState.scale;
-
-exportCtx.save();
-exportCtx.translate(
-  canvasState.panX * (exportSize / canvasState.maxCanvasSize), 
-  canvasState.panY * (exportSize / canvasState.maxCanvasSize)
-);
-exportCtx.scale(canvasState.zoom, canvasState.zoom);
-
-const tilesX = Math.ceil(exportSize / tileSize / canvasState.zoom) + 6;
-const tilesY = Math.ceil(exportSize / tileSize / canvasState.zoom) + 6;
-const startTileX = Math.floor(-(canvasState.panX * (exportSize / canvasState.maxCanvasSize)) / (tileSize * canvasState.zoom)) - 3;
-const startTileY = Math.floor(-(canvasState.panY * (exportSize / canvasState.maxCanvasSize)) / (tileSize * canvasState.zoom)) - 3;
-
-for (let i = startTileX; i < startTileX + tilesX; i++) {
-  for (let j = startTileY; j < startTileY + tilesY; j++) {
-    let drawX = i * tileSize + canvasState.offsetPercentX * tileSize;
-    let drawY = j * tileSize + canvasState.offsetPercentY * tileSize;
-    
-    if (canvasState.repeatType === 'half-drop') {
-      drawY += (Math.abs(i) % 2 === 1) ? tileSize / 2 : 0;
-    } else if (canvasState.repeatType === 'brick') {
-      drawX += (Math.abs(j) % 2 === 1) ? tileSize / 2 : 0;
+  setTimeout(async () => {
+    try {
+      const canvas = renderPatternField(width, height);
+      await saveExportCanvas(
+        canvas,
+        `${EXPORT_CONFIG.FILENAME_PREFIX}-${width}x${height}px`,
+        format,
+        `Check out my ${width}×${height}px pattern!`,
+        metadata
+      );
+    } catch (e) {
+      console.error('Export failed:', e);
+      alert('Export failed - try a smaller size.');
     }
-    
-    exportCtx.drawImage(canvasState.tileImage, drawX, drawY, tileSize, tileSize);
+
+    hideLoading();
+  }, 100);
+}
+
+/**
+ * Render the tiled field the canvas shows, framed to width × height
+ * The export and its preview in the export modal both come from here, so
+ * the preview frames the pattern exactly as the file will.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @param {HTMLCanvasElement} target - Canvas to draw into (resized); a new one if left out
+ * @returns {HTMLCanvasElement} The rendered field
+ */
+function renderPatternField(width, height, target = document.createElement('canvas')) {
+  target.width = width;
+  target.height = height;
+  const ctx = target.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+
+  const tile = getTileSize();
+  const tileW = tile.width;
+  const tileH = tile.height;
+  const rowH = getRowPitch(tileH);
+
+  // A full-quality canvas view (not the on-screen width, which varies)
+  // centred on the frame, then the canvas's own pan and zoom scaled up with it
+  const view = canvasState.maxCanvasSize;
+  const scale = Math.max(width, height) / view;
+  const originX = (width - view * scale) / 2 + canvasState.panX * scale;
+  const originY = (height - view * scale) / 2 + canvasState.panY * scale;
+  const unitScale = scale * canvasState.zoom;
+
+  ctx.translate(originX, originY);
+  ctx.scale(unitScale, unitScale);
+
+  // Tiles covering the frame, with a margin for repeat offsets
+  const startTileX = Math.floor(-originX / unitScale / tileW) - 3;
+  const startTileY = Math.floor(-originY / unitScale / rowH) - 3;
+  const tilesX = Math.ceil(width / unitScale / tileW) + 6;
+  const tilesY = Math.ceil(height / unitScale / rowH) + 6;
+
+  for (let i = startTileX; i < startTileX + tilesX; i++) {
+    for (let j = startTileY; j < startTileY + tilesY; j++) {
+      const repeatOffset = getRepeatOffset(i, j, tileW, tileH);
+      const drawX = i * tileW + canvasState.offsetPercentX * tileW + repeatOffset.x;
+      const drawY = j * rowH + canvasState.offsetPercentY * tileH + repeatOffset.y;
+
+      drawRepeatTile(ctx, canvasState.tileImage, drawX, drawY, tileW, tileH, i, j);
+    }
+  }
+
+  return target;
+}
+
+/**
+ * Pixel size of a pattern export at a preset size
+ * @param {number} exportSize - Long side in pixels
+ * @returns {object} { width, height } - short side follows the tile's aspect ratio
+ */
+function getPatternExportSize(exportSize) {
+  const aspect = canvasState.tileImage.width / canvasState.tileImage.height;
+  return {
+    width: aspect >= 1 ? exportSize : Math.round(exportSize * aspect),
+    height: aspect >= 1 ? Math.round(exportSize / aspect) : exportSize
+  };
+}
+
+/**
+ * Export exactly one repeat unit - the block print shops tile by plain
+ * translation (2×1 tiles for a half drop, 1×2 for a brick, and so on)
+ * It's built from the full-resolution tile, so pan, zoom and scale don't
+ * matter; drop and brick offsets are baked into the block.
+ * @param {number|null} exportSize - Long side in pixels, or null for the tile's own resolution
+ * @param {string} format - 'png' or 'jpg'
+ * @param {object} metadata - { dpi, author, copyright } - dpi is the print DPI the unit is meant for
+ */
+function exportRepeatUnit(exportSize, format, metadata = getExportMetadata()) {
+  if (!canvasState.tileImage) return;
+
+  const size = getRepeatUnitSize();
+  if (!size) {
+    alert(`This drop doesn't repeat within ${CANVAS_CONFIG.MAX_UNIT_TILES} tiles - pick a simpler ratio to export a repeat unit.`);
+    return;
   }
+
+  showLoading(false);
+
+  setTimeout(async () => {
+    const img = canvasState.tileImage;
+    const pixelScale = exportSize ? exportSize / Math.max(size.width, size.height) : 1;
+    const dpi = Math.round(metadata.dpi);
+
+    try {
+      const unit = renderRepeatUnit(img, img.width, img.height, pixelScale, EXPORT_CONFIG.MAX_SIZE);
+      if (!unit) throw new Error('Repeat unit is too large to export');
+
+      const { width, height } = unit.canvas;
+      await saveExportCanvas(
+        unit.canvas,
+        `${EXPORT_CONFIG.FILENAME_PREFIX}-repeat-${width}x${height}px-${dpi}dpi`,
+        format,
+        `One ${roundTo(width / dpi, 2)}×${roundTo(height / dpi, 2)}in repeat at ${dpi} DPI`,
+        metadata
+      );
+    } catch (e) {
+      console.error('Repeat unit export failed:', e);
+      alert('Export failed - try a smaller size.');
+    }
+
+    hideLoading();
+  }, 100);
+}
+
+/**
+ * Native size of the repeat unit (tile image pixels, before any scaling)
+ * @returns {object|null} { width, height, cols, rows } or null if the unit is too large
+ */
+function getRepeatUnitSize() {
+  const unit = getRepeatUnitTiles();
+  if (!unit || !canvasState.tileImage) return null;
+
+  const { width, height } = canvasState.tileImage;
+  return {
+    width: unit.cols * width,
+    height: Math.round(unit.rows * getRowPitch(height)),
+    cols: unit.cols,
+    rows: unit.rows
+  };
+}
+
+/**
+ * Resolution and credits for an export when the export modal didn't give
+ * any: the dimension calculator's DPI and the last credits entered
+ * @returns {object} { dpi, author, copyright }
+ */
+function getExportMetadata() {
+  const credits = getStorageItem(STORAGE_CONFIG.EXPORT_CREDITS_KEY, {});
+  return {
+    dpi: clamp(calcState.dpi, EXPORT_CONFIG.MIN_DPI, EXPORT_CONFIG.MAX_DPI),
+    author: credits.author || '',
+    copyright: credits.copyright || ''
+  };
 }
 
-exportCtx.restore();
+/**
+ * Save an export canvas - shared through the share sheet where the browser
+ * can share files, downloaded otherwise
+ * The DPI and credits are written into the file so print shops open it at
+ * the right size.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Finished export
+ * @param {string} name - File name without extension
+ * @param {string} format - 'png' or 'jpg'
+ * @param {string} shareText - Message for the share sheet
+ * @param {object} metadata - { dpi, author, copyright }
+ */
+async function saveExportCanvas(canvas, name, format, shareText, metadata = getExportMetadata()) {
+  const blob = await encodeExportCanvas(canvas, format, metadata);
+  const ext = format === EXPORT_CONFIG.FORMATS.JPG ? '.jpg' : '.png';
+  checkPodFileSize(blob);
+  await saveExportFile(blob, name + ext, shareText);
+}
 
-const mimeType = format === 'jpg' ? 'image/jpeg' : 'image/png';
-const quality = format === 'jpg' ? 0.95 : undefined;
+/**
+ * Encode an export canvas as PNG or JPEG with its metadata written in
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Finished export
+ * @param {string} format - 'png' or 'jpg'
+ * @param {object} metadata - { dpi, author, copyright }
+ * @returns {Promise<Blob>} Encoded file
+ */
+async function encodeExportCanvas(canvas, format, metadata) {
+  const mimeType = format === EXPORT_CONFIG.FORMATS.JPG ? 'image/jpeg' : 'image/png';
+  const quality = format === EXPORT_CONFIG.FORMATS.JPG ? EXPORT_CONFIG.JPEG_QUALITY : undefined;
+
+  const encoded = canvas.convertToBlob
+    ? await canvas.convertToBlob({ type: mimeType, quality })
+    : await new Promise(resolve => canvas.toBlob(resolve, mimeType, quality));
+  if (!encoded) throw new Error('Export is too large for this browser');
+
+  return addImageMetadata(encoded, metadata);
+}
+
+/**
+ * Share or download a finished export file
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - File name with extension
+ * @param {string} shareText - Message for the share sheet
+ */
+async function saveExportFile(blob, fileName, shareText) {
+  const file = new File([blob], fileName, { type: blob.type });
 
-exportCanvas.toBlob(async (blob) => {
-  const ext = format === 'jpg' ? '.jpg' : '.png';
-  const file = new File([blob], `rudeboy-pattern-${exportSize}px${ext}`, { type: mimeType });
-  
   try {
     if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
-      await navigator.share({
-        files: [file],
-        title: 'Rudeboy Pattern',
-        text: `Check out my ${exportSize}px pattern!`
-      });
-    } else {
-      const link = document.createElement('a');
-      link.download = `rudeboy-pattern-${exportSize}px${ext}`;
-      link.href = URL.createObjectURL(blob);
-      link.click();
-      URL.revokeObjectURL(link.href);
+      await navigator.share({ files: [file], title: 'Rudeboy Pattern', text: shareText });
+      return;
     }
   } catch (e) {
-    if (e.name !== 'AbortError') {
-      const link = document.createElement('a');
-      link.download = `rudeboy-pattern-${exportSize}px${ext}`;
-      link.href = URL.createObjectURL(blob);
-      link.click();
-      URL.revokeObjectURL(link.href);
-    }
+    if (e.name === 'AbortError') return;
   }
-  
-  hideLoading();
-}, mimeType, quality);
-```
 
-}, 100);
-}
\ No newline at end of file
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = URL.createObjectURL(blob);
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Background for mockup and contact sheet exports
+ * JPEG can't be transparent, and the checkerboard only marks transparency
+ * on screen, so both fall back to white.
+ * @param {string} format - 'png' or 'jpg'
+ * @param {boolean} transparent - Transparent background asked for
+ * @returns {string|null} Fill color, or null to leave it clear
+ */
+function getExportBackground(format, transparent) {
+  if (transparent && format === EXPORT_CONFIG.FORMATS.PNG) return null;
+
+  const color = canvasState.backgroundColor;
+  return color === 'checker' ? '#ffffff' : color;
+}
@@ -0,0 +1,208 @@
+/* ============================================================================
+POD-PROFILES.JS - Print-on-Demand Export Profiles
+
+This file backs the profile picker in the export modal. A profile (see
+POD_CONFIG.PROFILES) sets up a whole export for one service and product:
+
+- What to export: the tiled pattern, or one repeat unit for services that
+  tile the upload themselves
+- Resolution, DPI and format
+- Color mode and the largest file the service takes
+
+The export is then checked against the profile, with a warning for anything
+that misses it - most often a source tile too small for the size asked for.
+============================================================================ */
+
+/**
+ * Profile picked in the export modal ('' for none)
+ */
+const podState = {
+  profile: '',
+  // Whether the current tile has transparent pixels (checked once per tile)
+  alphaTile: null,
+  hasAlpha: false
+};
+
+/**
+ * The picked profile
+ * @returns {object|null} Profile from POD_CONFIG.PROFILES
+ */
+function getPodProfile() {
+  return POD_CONFIG.PROFILES[podState.profile] || null;
+}
+
+/**
+ * One-line summary of a profile's spec
+ * @param {object} profile - Profile from POD_CONFIG.PROFILES
+ * @returns {string} Spec line for the export modal
+ */
+function describePodProfile(profile) {
+  const size = profile.target === 'repeat-unit'
+    ? `one repeat at its own size, ${profile.minSize}px or more`
+    : `${profile.width}×${profile.height}px`;
+
+  return `${size} · ${profile.format.toUpperCase()} · ${profile.colorMode} · ` +
+    `${profile.dpi} DPI · up to ${profile.maxFileMB} MB`;
+}
+
+/**
+ * Export modal settings that meet a profile
+ * A repeat unit always goes out at its own resolution, so it prints at the
+ * tile's size - only the DPI is set.
+ * @param {object} profile - Profile from POD_CONFIG.PROFILES
+ * @returns {object} { target, resolution, width, height, format, dpi } -
+ *   resolution is 'current', or 'custom' with width × height in pixels
+ */
+function getPodExportSettings(profile) {
+  if (profile.target === 'repeat-unit') {
+    return { target: profile.target, resolution: 'current', format: profile.format, dpi: profile.dpi };
+  }
+
+  return {
+    target: profile.target,
+    resolution: 'custom',
+    width: profile.width,
+    height: profile.height,
+    format: profile.format,
+    dpi: profile.dpi
+  };
+}
+
+/**
+ * Check an export against a profile
+ * @param {object} profile - Profile from POD_CONFIG.PROFILES
+ * @param {object} settings - { target, pixels, format, dpi } as set in the
+ *   export modal; pixels is the file's { width, height } (null if the repeat
+ *   unit can't be made)
+ * @returns {Array<string>} Warnings, empty when the export meets the spec
+ */
+function validatePodExport(profile, settings) {
+  const { service } = profile;
+  const { pixels } = settings;
+  const warnings = [];
+
+  if (settings.target !== profile.target) {
+    warnings.push(profile.target === 'repeat-unit'
+      ? `${service} tiles the upload itself - export the repeat unit`
+      : `${service} wants the tiled pattern, not a ${settings.target.replace('-', ' ')}`);
+  }
+
+  if (!pixels) {
+    warnings.push(`This drop doesn't repeat within ${CANVAS_CONFIG.MAX_UNIT_TILES} tiles, so there's no repeat unit to upload`);
+  } else if (profile.target === 'repeat-unit') {
+    if (Math.max(pixels.width, pixels.height) < profile.minSize) {
+      warnings.push(`${pixels.width}×${pixels.height}px is below the ${profile.minSize}px minimum ${service} takes`);
+    }
+  } else if (pixels.width < profile.width || pixels.height < profile.height) {
+    warnings.push(`${pixels.width}×${pixels.height}px is smaller than the ${profile.width}×${profile.height}px ${service} asks for`);
+  }
+
+  if (settings.format !== profile.format) {
+    warnings.push(`${service} asks for ${profile.format.toUpperCase()}`);
+  }
+  if (Math.round(settings.dpi) !== profile.dpi) {
+    warnings.push(`${service} expects ${profile.dpi} DPI`);
+  }
+  if (profile.colorMode === 'CMYK') {
+    warnings.push(`Exports are RGB - convert to CMYK before uploading to ${service}`);
+  }
+  if (profile.colorMode !== 'RGBA' && tileHasTransparency()) {
+    warnings.push(`The tile has transparent areas - ${service} prints ${profile.colorMode} with no transparency, so fill them first`);
+  }
+
+  // The source tile has to cover the size without being stretched
+  const stretch = pixels ? getTileStretch(settings.target, pixels) : 1;
+  if (stretch > POD_CONFIG.MAX_UPSCALE) {
+    const img = canvasState.tileImage;
+    warnings.push(
+      `The ${img.width}×${img.height}px tile is stretched ${Math.round(stretch * 100)}% to fill this size - ` +
+      `start from a tile at least ${Math.ceil(img.width * stretch)}px wide` +
+      (settings.target === 'pattern' ? ' or zoom out' : '')
+    );
+  }
+
+  return warnings;
+}
+
+/**
+ * How much an export enlarges the tile's own pixels (1 = native size)
+ * @param {string} target - 'pattern' or 'repeat-unit' (others return 1)
+ * @param {object} pixels - Export { width, height }
+ * @returns {number} Scale factor
+ */
+function getTileStretch(target, pixels) {
+  const img = canvasState.tileImage;
+  if (!img) return 1;
+
+  if (target === 'repeat-unit') {
+    const unit = getRepeatUnitSize();
+    return unit ? Math.max(pixels.width, pixels.height) / Math.max(unit.width, unit.height) : 1;
+  }
+  if (target === 'pattern') {
+    // Same framing as renderPatternField()
+    const scale = Math.max(pixels.width, pixels.height) / canvasState.maxCanvasSize;
+    return getTileSize().width * canvasState.zoom * scale / img.width;
+  }
+  return 1;
+}
+
+/**
+ * Whether the tile has any transparent pixels
+ * Sampled from a small copy, once per tile image.
+ * @returns {boolean}
+ */
+function tileHasTransparency() {
+  const img = canvasState.tileImage;
+  if (!img) return false;
+  if (podState.alphaTile === img) return podState.hasAlpha;
+
+  const scale = Math.min(1, 256 / Math.max(img.width, img.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(img.width * scale));
+  canvas.height = Math.max(1, Math.round(img.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  let hasAlpha = false;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) {
+      hasAlpha = true;
+      break;
+    }
+  }
+
+  podState.alphaTile = img;
+  podState.hasAlpha = hasAlpha;
+  return hasAlpha;
+}
+
+/**
+ * Warn when a finished file is over the picked profile's size limit
+ * The file is still saved - JPG or a smaller size will get it under.
+ * @param {Blob} blob - Encoded export
+ */
+function checkPodFileSize(blob) {
+  const profile = getPodProfile();
+  if (!profile || blob.size <= profile.maxFileMB * 1024 * 1024) return;
+
+  const megabytes = roundTo(blob.size / (1024 * 1024), 1);
+  alert(`This file is ${megabytes} MB - over ${profile.service}'s ${profile.maxFileMB} MB limit. Try JPG or a smaller size.`);
+}
+
+/**
+ * Warn when files in a batch are over the picked profile's size limit
+ * Checked before zipping, as each file is uploaded on its own.
+ * @param {Array<object>} files - { name, bytes } of each exported file
+ */
+function checkPodBatchFileSizes(files) {
+  const profile = getPodProfile();
+  if (!profile) return;
+
+  const over = files.filter(file => file.bytes > profile.maxFileMB * 1024 * 1024);
+  if (!over.length) return;
+
+  const names = over.map(file => `${file.name} (${roundTo(file.bytes / (1024 * 1024), 1)} MB)`);
+  alert(`${over.length} file${over.length === 1 ? ' is' : 's are'} over ${profile.service}'s ${profile.maxFileMB} MB limit:\n` +
+    `${names.join('\n')}\n\nTry JPG or smaller sizes.`);
+}
@@ -0,0 +1,439 @@
+/* ============================================================================
+REPEAT.JS - Repeat Layout Geometry
+
+This file holds the repeat math shared by every renderer:
+
+- The on-screen tile size (width and height scale separately)
+- Tile offsets for full drop, drop (half, third, quarter, custom) and brick
+- Tile flips/rotations for mirror and pinwheel repeats
+- Hex, diamond and ogee lattices (offset rows, optional cell clip mask)
+- The repeat unit: the smallest block that tiles by plain translation
+- The shift between neighbouring tiles (used by the seam check)
+
+Keeping it in one place means the canvas view, mockups, seam test and
+export always agree on where each tile lands. It only reads canvasState,
+so the mockup worker loads it too.
+============================================================================ */
+
+/**
+ * Lattice repeats sit on offset rows rather than a square grid
+ * Row pitch as a fraction of the tile height; odd rows shift half a tile across.
+ */
+const LATTICE_ROW_STEPS = {
+  hex: 0.75,
+  diamond: 0.5,
+  ogee: 0.5
+};
+
+/**
+ * Whether the current repeat type is a hex/diamond/ogee lattice
+ */
+function isLatticeRepeat() {
+  return Object.prototype.hasOwnProperty.call(LATTICE_ROW_STEPS, canvasState.repeatType);
+}
+
+/**
+ * Distance between tile rows
+ * @param {number} tileH - Tile height in pixels
+ * @returns {number} Row pitch in pixels (tileH for grid repeats)
+ */
+function getRowPitch(tileH) {
+  return isLatticeRepeat() ? tileH * LATTICE_ROW_STEPS[canvasState.repeatType] : tileH;
+}
+
+/**
+ * Size of one tile at the current scale
+ * Rectangular tiles keep their aspect ratio, so width and height are
+ * tracked separately everywhere a tile is laid out.
+ * @returns {object} { width, height } in pixels
+ */
+function getTileSize() {
+  return {
+    width: canvasState.tileImage.width * canvasState.scale,
+    height: canvasState.tileImage.height * canvasState.scale
+  };
+}
+
+/**
+ * Printed size of one tile at the current scale and print DPI
+ * @returns {object} { width, height } in inches
+ */
+function getTileInches() {
+  const tile = getTileSize();
+  return {
+    width: tile.width / canvasState.printDpi,
+    height: tile.height / canvasState.printDpi
+  };
+}
+
+/**
+ * Printed size of the repeat unit (see getRepeatUnitTiles())
+ * @param {object} tile - Printed tile size in inches
+ * @returns {object} { width, height, cols } - width/height in inches; falls
+ *   back to one tile (cols 0) when the drop never lines up
+ */
+function getRepeatUnitInches(tile) {
+  const unit = getRepeatUnitTiles();
+  const pitch = getRowPitch(tile.height);
+
+  if (!unit) return { width: tile.width, height: pitch, cols: 0 };
+  return { width: unit.cols * tile.width, height: unit.rows * pitch, cols: unit.cols };
+}
+
+/**
+ * Offset of tile (i, j) caused by the repeat type
+ * Drop repeats push each column down by dropRatio of the tile height,
+ * brick repeats push each row across by dropRatio of the tile width.
+ * @param {number} i - Tile column index
+ * @param {number} j - Tile row index
+ * @param {number} tileW - Tile width in pixels
+ * @param {number} tileH - Tile height in pixels
+ * @returns {object} { x, y } offset in pixels
+ *
+ * Example: third drop (ratio 1/3) → columns 0, 1, 2 drop 0, ⅓, ⅔ of a tile
+ */
+function getRepeatOffset(i, j, tileW, tileH) {
+  if (isLatticeRepeat()) {
+    return { x: mod(j, 2) === 1 ? tileW / 2 : 0, y: 0 };
+  } else if (canvasState.repeatType === 'half-drop') {
+    return { x: 0, y: getDropFraction(i) * tileH };
+  } else if (canvasState.repeatType === 'brick') {
+    return { x: getDropFraction(j) * tileW, y: 0 };
+  }
+  return { x: 0, y: 0 };
+}
+
+/**
+ * Fraction of a tile (0-1) that column/row n is shifted by
+ */
+function getDropFraction(n) {
+  const fraction = (n * canvasState.dropRatio) % 1;
+  return fraction < 0 ? fraction + 1 : fraction;
+}
+
+/**
+ * Shift (0-1 of the tile) between neighbouring tiles across each seam
+ * vertical: how far the tile to the right is dropped
+ * horizontal: how far the tile below is shifted across
+ * @returns {object} { vertical, horizontal }
+ */
+function getRepeatShift() {
+  return {
+    vertical: canvasState.repeatType === 'half-drop' ? canvasState.dropRatio : 0,
+    horizontal: canvasState.repeatType === 'brick' ? canvasState.dropRatio : 0
+  };
+}
+
+/**
+ * Human-readable drop/shift ratio
+ * @param {number} ratio - Ratio (0-1)
+ * @returns {string} e.g. "1/3" or "37%"
+ *
+ * Example: formatDropRatio(0.25) → "1/4"
+ */
+function formatDropRatio(ratio) {
+  const preset = CANVAS_CONFIG.DROP_RATIOS.find(r => Math.abs(r.value - ratio) < 0.001);
+  return preset ? preset.label : `${Math.round(ratio * 100)}%`;
+}
+
+/**
+ * Flip/rotation applied to tile (i, j) by the repeat type
+ * Mirror repeats flip every other column/row, pinwheel repeats turn
+ * each tile of a 2 × 2 block around the shared corner.
+ * @param {number} i - Tile column index
+ * @param {number} j - Tile row index
+ * @returns {object} { flipX, flipY, turns } - turns = clockwise quarter turns
+ */
+function getTileTransform(i, j) {
+  const oddX = mod(i, 2) === 1;
+  const oddY = mod(j, 2) === 1;
+
+  switch (canvasState.repeatType) {
+    case 'mirror-h':
+      return { flipX: oddX, flipY: false, turns: 0 };
+    case 'mirror-v':
+      return { flipX: false, flipY: oddY, turns: 0 };
+    case 'mirror-4':
+      return { flipX: oddX, flipY: oddY, turns: 0 };
+    case 'rotate-180':
+      return { flipX: false, flipY: false, turns: oddX !== oddY ? 2 : 0 };
+    case 'rotate-90':
+      // Clockwise around the block: top-left 0°, top-right 90°, bottom-right 180°, bottom-left 270°
+      return { flipX: false, flipY: false, turns: oddY ? (oddX ? 2 : 3) : (oddX ? 1 : 0) };
+    default:
+      return { flipX: false, flipY: false, turns: 0 };
+  }
+}
+
+/**
+ * Draw one tile of the repeat with its flip/rotation applied
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {CanvasImageSource} img - Tile image
+ * @param {number} x - Cell X position
+ * @param {number} y - Cell Y position
+ * @param {number} w - Cell width
+ * @param {number} h - Cell height
+ * @param {number} i - Tile column index
+ * @param {number} j - Tile row index
+ */
+function drawRepeatTile(ctx, img, x, y, w, h, i, j) {
+  if (isLatticeRepeat() && canvasState.latticeClip) {
+    ctx.save();
+    traceLatticeCell(ctx, x, y, w, h);
+    ctx.clip();
+    ctx.drawImage(img, x, y, w, h);
+    ctx.restore();
+    return;
+  }
+
+  const t = getTileTransform(i, j);
+
+  if (!t.flipX && !t.flipY && !t.turns) {
+    ctx.drawImage(img, x, y, w, h);
+    return;
+  }
+
+  // Quarter turns swap the drawn width/height so the tile still fills its cell
+  // (Pinwheel 90° is only offered for square tiles, see syncRepeatTypeControls())
+  const quarter = t.turns % 2 === 1;
+  const drawW = quarter ? h : w;
+  const drawH = quarter ? w : h;
+
+  ctx.save();
+  ctx.translate(x + w / 2, y + h / 2);
+  ctx.rotate(t.turns * Math.PI / 2);
+  ctx.scale(t.flipX ? -1 : 1, t.flipY ? -1 : 1);
+  ctx.drawImage(img, -drawW / 2, -drawH / 2, drawW, drawH);
+  ctx.restore();
+}
+
+/**
+ * Map a point on a drawn tile back to the source image
+ * Undoes drawRepeatTile's rotation, then its flip.
+ * @param {number} u - Cell X (0-1)
+ * @param {number} v - Cell Y (0-1)
+ * @param {object} t - Transform from getTileTransform()
+ * @returns {object} { u, v } source position (0-1)
+ */
+function mapTilePointToSource(u, v, t) {
+  for (let k = 0; k < t.turns; k++) {
+    [u, v] = [v, 1 - u];
+  }
+  if (t.flipX) u = 1 - u;
+  if (t.flipY) v = 1 - v;
+  return { u, v };
+}
+
+/**
+ * Draw the repeating pattern over an area of any context
+ * Used by the mockups and fabric swatch (on the page and in the mockup worker).
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} startX - Area X position
+ * @param {number} startY - Area Y position
+ * @param {number} width - Area width
+ * @param {number} height - Area height
+ * @param {number} tileW - Tile width in pixels
+ * @param {number} tileH - Tile height in pixels
+ * @param {number} [originX=startX] - Where tile (0, 0) sits - moves the pattern within the area
+ * @param {number} [originY=startY]
+ */
+function drawPatternToContext(ctx, startX, startY, width, height, tileW, tileH,
+                              originX = startX, originY = startY) {
+  const rowH = getRowPitch(tileH);
+  const firstI = Math.floor((startX - originX) / tileW) - 2;
+  const firstJ = Math.floor((startY - originY) / rowH) - 2;
+  const tilesX = Math.ceil(width / tileW) + 4;
+  const tilesY = Math.ceil(height / rowH) + 4;
+
+  for (let i = firstI; i < firstI + tilesX + 2; i++) {
+    for (let j = firstJ; j < firstJ + tilesY + 2; j++) {
+      const repeatOffset = getRepeatOffset(i, j, tileW, tileH);
+      const drawX = originX + i * tileW + canvasState.offsetPercentX * tileW + repeatOffset.x;
+      const drawY = originY + j * rowH + canvasState.offsetPercentY * tileH + repeatOffset.y;
+
+      drawRepeatTile(ctx, canvasState.tileImage, drawX, drawY, tileW, tileH, i, j);
+    }
+  }
+}
+
+/**
+ * Repeat unit pattern for fillPatternToContext()
+ * One entry - the real-size views fill at one tile size per frame.
+ */
+const patternFillCache = {
+  image: null,
+  key: '',
+  fill: null
+};
+
+/**
+ * Fill an area with the repeating pattern as a CanvasPattern
+ * Same arguments and result as drawPatternToContext(), but one fill per
+ * call however many tiles fit, so large areas of small tiles stay fast.
+ * Falls back to drawing tiles when the repeat unit can't be made.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} startX - Area X position
+ * @param {number} startY - Area Y position
+ * @param {number} width - Area width
+ * @param {number} height - Area height
+ * @param {number} tileW - Tile width in pixels
+ * @param {number} tileH - Tile height in pixels
+ * @param {number} [originX=startX] - Where tile (0, 0) sits
+ * @param {number} [originY=startY]
+ */
+function fillPatternToContext(ctx, startX, startY, width, height, tileW, tileH,
+                              originX = startX, originY = startY) {
+  const key = [
+    tileW, tileH, canvasState.repeatType, canvasState.dropRatio, canvasState.latticeClip
+  ].join(':');
+
+  if (patternFillCache.image !== canvasState.tileImage || patternFillCache.key !== key) {
+    const unit = renderRepeatUnit(canvasState.tileImage, tileW, tileH, 1);
+    const pattern = unit ? ctx.createPattern(unit.canvas, 'repeat') : null;
+
+    patternFillCache.image = canvasState.tileImage;
+    patternFillCache.key = key;
+    patternFillCache.fill = pattern ? { pattern, unit } : null;
+  }
+
+  const fill = patternFillCache.fill;
+  if (!fill) {
+    drawPatternToContext(ctx, startX, startY, width, height, tileW, tileH, originX, originY);
+    return;
+  }
+
+  // Unit origin sits on tile (0, 0); the bitmap is scaled back to tile pixels
+  const { pattern, unit } = fill;
+  pattern.setTransform(new DOMMatrix()
+    .translateSelf(originX + canvasState.offsetPercentX * tileW, originY + canvasState.offsetPercentY * tileH)
+    .scaleSelf(unit.width / unit.canvas.width, unit.height / unit.canvas.height));
+
+  ctx.save();
+  ctx.fillStyle = pattern;
+  ctx.fillRect(startX, startY, width, height);
+  ctx.restore();
+}
+
+/**
+ * Trace the outline of a lattice cell inside its tile box
+ * Hexes are pointy-top, diamonds touch the box midpoints and ogees bulge
+ * out with S-curves - all three tessellate on their lattice's offset rows.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} x - Cell X position
+ * @param {number} y - Cell Y position
+ * @param {number} w - Cell width
+ * @param {number} h - Cell height
+ */
+function traceLatticeCell(ctx, x, y, w, h) {
+  const cx = x + w / 2;
+  const cy = y + h / 2;
+
+  ctx.beginPath();
+
+  switch (canvasState.repeatType) {
+    case 'hex':
+      ctx.moveTo(cx, y);
+      ctx.lineTo(x + w, y + h / 4);
+      ctx.lineTo(x + w, y + h * 3 / 4);
+      ctx.lineTo(cx, y + h);
+      ctx.lineTo(x, y + h * 3 / 4);
+      ctx.lineTo(x, y + h / 4);
+      break;
+    case 'ogee':
+      ctx.moveTo(cx, y);
+      ctx.bezierCurveTo(cx, y + h / 4, x + w, y + h / 4, x + w, cy);
+      ctx.bezierCurveTo(x + w, y + h * 3 / 4, cx, y + h * 3 / 4, cx, y + h);
+      ctx.bezierCurveTo(cx, y + h * 3 / 4, x, y + h * 3 / 4, x, cy);
+      ctx.bezierCurveTo(x, y + h / 4, cx, y + h / 4, cx, y);
+      break;
+    default:
+      ctx.moveTo(cx, y);
+      ctx.lineTo(x + w, cy);
+      ctx.lineTo(cx, y + h);
+      ctx.lineTo(x, cy);
+  }
+
+  ctx.closePath();
+}
+
+/**
+ * Size of the repeat unit in tiles
+ * The unit repeats by plain translation, so it can fill a CanvasPattern.
+ * @returns {object|null} { cols, rows } or null if the unit would be too large
+ *
+ * Example: third drop → { cols: 3, rows: 1 }, four-way mirror → { cols: 2, rows: 2 }
+ */
+function getRepeatUnitTiles() {
+  switch (canvasState.repeatType) {
+    case 'half-drop': {
+      const period = getRatioPeriod(canvasState.dropRatio);
+      return period ? { cols: period, rows: 1 } : null;
+    }
+    case 'brick': {
+      const period = getRatioPeriod(canvasState.dropRatio);
+      return period ? { cols: 1, rows: period } : null;
+    }
+    case 'mirror-h':
+      return { cols: 2, rows: 1 };
+    case 'mirror-v':
+      return { cols: 1, rows: 2 };
+    case 'mirror-4':
+    case 'rotate-90':
+    case 'rotate-180':
+      return { cols: 2, rows: 2 };
+    default:
+      // Lattices repeat every two rows, full drop every tile
+      return isLatticeRepeat() ? { cols: 1, rows: 2 } : { cols: 1, rows: 1 };
+  }
+}
+
+/**
+ * Columns/rows until a drop or brick shift lines up again
+ * @param {number} ratio - Shift ratio (0-1)
+ * @returns {number|null} Period, or null if over CANVAS_CONFIG.MAX_UNIT_TILES
+ */
+function getRatioPeriod(ratio) {
+  for (let n = 1; n <= CANVAS_CONFIG.MAX_UNIT_TILES; n++) {
+    if (Math.abs(n * ratio - Math.round(n * ratio)) < 0.0001) return n;
+  }
+  return null;
+}
+
+/**
+ * Render one repeat unit into an offscreen bitmap
+ * Tiles overlapping the unit from neighbouring cells are drawn too (drop
+ * offsets, brick shifts and lattice rows all spill across its edges).
+ * @param {CanvasImageSource} img - Tile image
+ * @param {number} tileW - Tile width in pixels
+ * @param {number} tileH - Tile height in pixels
+ * @param {number} pixelScale - Bitmap pixels per tile pixel
+ * @param {number} [maxPixels=CANVAS_CONFIG.MAX_UNIT_PIXELS] - Longest side allowed
+ * @returns {object|null} { canvas, width, height } - width/height in tile pixels
+ */
+function renderRepeatUnit(img, tileW, tileH, pixelScale, maxPixels = CANVAS_CONFIG.MAX_UNIT_PIXELS) {
+  const unit = getRepeatUnitTiles();
+  if (!unit) return null;
+
+  const width = unit.cols * tileW;
+  const height = unit.rows * getRowPitch(tileH);
+  const bitmapW = Math.max(1, Math.round(width * pixelScale));
+  const bitmapH = Math.max(1, Math.round(height * pixelScale));
+
+  if (Math.max(bitmapW, bitmapH) > maxPixels) return null;
+
+  const canvas = createOffscreenCanvas(bitmapW, bitmapH);
+  const ctx = canvas.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.scale(bitmapW / width, bitmapH / height);
+
+  const rowH = getRowPitch(tileH);
+  for (let i = -1; i <= unit.cols; i++) {
+    for (let j = -2; j <= unit.rows; j++) {
+      const repeatOffset = getRepeatOffset(i, j, tileW, tileH);
+      drawRepeatTile(ctx, img, i * tileW + repeatOffset.x, j * rowH + repeatOffset.y, tileW, tileH, i, j);
+    }
+  }
+
+  return { canvas, width, height };
+}
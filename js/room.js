@@ -0,0 +1,282 @@
+/* ============================================================================
+ROOM.JS - Room / Wallpaper Mockup
+
+This file draws the Room Wall view mode: a simple room with the pattern
+papered across its back wall.
+
+- The wall is entered in feet or meters and keeps that shape on screen
+- The pattern is tiled at its real printed size (tile pixels / print DPI)
+- The wall is seen at an angle, so the paper follows its perspective
+- Light falls from the left; the realism setting sets how strong it is
+
+The scene is drawn from scratch (no photo), so any wall size works. It is
+exported through the same path as the other mockups.
+============================================================================ */
+
+/**
+ * Room view state
+ * cached is the last rendered room; signature describes what it shows
+ */
+const roomState = {
+  cached: null,
+  signature: '',
+  tileImage: null,
+  tileVersion: 0
+};
+
+/**
+ * Set up the Room Wall card
+ */
+function initRoom() {
+  const widthInput = document.getElementById('roomWallWidth');
+  const heightInput = document.getElementById('roomWallHeight');
+  const unitSelect = document.getElementById('roomWallUnit');
+
+  const showWall = () => {
+    widthInput.value = canvasState.roomWall.width;
+    heightInput.value = canvasState.roomWall.height;
+    unitSelect.value = canvasState.roomWall.unit;
+  };
+
+  const onSizeChange = () => {
+    const width = parseFloat(widthInput.value);
+    const height = parseFloat(heightInput.value);
+
+    if (width > 0 && height > 0) {
+      setRoomWall({ ...canvasState.roomWall, width, height });
+    }
+    showWall();
+  };
+
+  widthInput.addEventListener('change', onSizeChange);
+  heightInput.addEventListener('change', onSizeChange);
+
+  // Switching units keeps the same wall, just in the new unit
+  unitSelect.addEventListener('change', () => {
+    const inches = getRoomWallInches();
+    const perUnit = ROOM_CONFIG.UNITS[unitSelect.value];
+    setRoomWall({
+      width: roundTo(inches.width / perUnit, 2),
+      height: roundTo(inches.height / perUnit, 2),
+      unit: unitSelect.value
+    });
+    showWall();
+  });
+
+  showWall();
+}
+
+/**
+ * Change the wall size, keeping it within the size limits, and remember it
+ * @param {object} wall - { width, height, unit }
+ */
+function setRoomWall(wall) {
+  const perUnit = ROOM_CONFIG.UNITS[wall.unit];
+  const fit = value => roundTo(clamp(value * perUnit, ROOM_CONFIG.MIN_INCHES, ROOM_CONFIG.MAX_INCHES) / perUnit, 2);
+
+  canvasState.roomWall = { width: fit(wall.width), height: fit(wall.height), unit: wall.unit };
+  setStorageItem(STORAGE_CONFIG.ROOM_WALL_KEY, canvasState.roomWall);
+  requestDraw();
+}
+
+/**
+ * Wall size in inches
+ * @returns {object} { width, height }
+ */
+function getRoomWallInches() {
+  const wall = canvasState.roomWall;
+  const perUnit = ROOM_CONFIG.UNITS[wall.unit] || ROOM_CONFIG.UNITS.ft;
+  return { width: wall.width * perUnit, height: wall.height * perUnit };
+}
+
+/**
+ * Where the wall's corners sit in the scene
+ * The wall is fitted face on into WALL_AREA, then its far edge is shortened
+ * (and the wall narrowed to match) so it recedes to the right.
+ * @param {object} wall - Wall size in inches
+ * @returns {Array<Array<number>>} [TL, TR, BR, BL] normalized 0-1
+ */
+function getRoomWallCorners(wall) {
+  const { x0, y0, x1, y1 } = ROOM_CONFIG.WALL_AREA;
+  const recede = ROOM_CONFIG.RECEDE;
+  const aspect = wall.width / wall.height;
+
+  const faceW = Math.min(x1 - x0, (y1 - y0) * aspect);
+  const faceH = faceW / aspect;
+  const shownW = faceW * (1 - recede / 2);
+
+  const left = x0 + ((x1 - x0) - shownW) / 2;
+  const right = left + shownW;
+  const middle = (y0 + y1) / 2;
+  const nearHalf = faceH / 2;
+  const farHalf = faceH * (1 - recede) / 2;
+
+  return [
+    [left, middle - nearHalf],
+    [right, middle - farHalf],
+    [right, middle + farHalf],
+    [left, middle + nearHalf]
+  ];
+}
+
+/**
+ * Draw the Room Wall view
+ * Sized and turned like the other mockups; the room is only re-rendered
+ * when the pattern, wall or lighting changes.
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (centred)
+ */
+function drawRoomScene(ctx) {
+  const state = roomState;
+  const size = getMockupDisplaySize();
+  if (size < 1) return;
+
+  const scene = getCachedRender(state, [
+    size, canvasState.roomWall, canvasState.mockupRealism, getTileInches(),
+    canvasState.repeatType, canvasState.dropRatio, canvasState.latticeClip,
+    canvasState.offsetPercentX, canvasState.offsetPercentY
+  ], () => renderRoomScene(size));
+
+  ctx.rotate(canvasState.mockupRotate * Math.PI / 180);
+  ctx.drawImage(scene, -size / 2, -size / 2);
+}
+
+/**
+ * Render the room with the papered wall
+ * @param {number} size - Scene size in pixels (square)
+ * @returns {HTMLCanvasElement} Finished scene
+ */
+function renderRoomScene(size) {
+  const wall = getRoomWallInches();
+  const corners = getRoomWallCorners(wall);
+  const [tl, tr, br, bl] = corners.map(([x, y]) => [x * size, y * size]);
+
+  const scene = document.createElement('canvas');
+  scene.width = size;
+  scene.height = size;
+  const ctx = scene.getContext('2d');
+
+  drawRoomShell(ctx, size, tl, tr, br, bl);
+
+  // Paper the wall: fill the unwarped wall with the repeat at real size (one
+  // pattern fill however small the tile), then bend it into place
+  const mesh = buildWarpMesh({ type: 'quad', corners }, size);
+  const flat = getMeshSize(mesh);
+  const sourceW = Math.max(1, Math.ceil(flat.width));
+  const sourceH = Math.max(1, Math.ceil(flat.height));
+  const pixelsPerInch = flat.width / wall.width;
+  const tileInches = getTileInches();
+
+  const source = createOffscreenCanvas(sourceW, sourceH);
+  const sourceCtx = source.getContext('2d');
+  sourceCtx.imageSmoothingEnabled = true;
+  sourceCtx.imageSmoothingQuality = 'high';
+  fillPatternToContext(sourceCtx, 0, 0, sourceW, sourceH,
+    tileInches.width * pixelsPerInch, tileInches.height * pixelsPerInch);
+
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  drawWarpedImage(ctx, source, sourceW, sourceH, mesh);
+
+  drawRoomLighting(ctx, tl, tr, br, bl);
+
+  // Baseboard along the bottom of the wall
+  const board = ROOM_CONFIG.BASEBOARD / wall.height;
+  ctx.fillStyle = ROOM_CONFIG.COLORS.baseboard;
+  fillRoomPolygon(ctx, [
+    [bl[0], lerp(bl[1], tl[1], board)],
+    [br[0], lerp(br[1], tr[1], board)],
+    br,
+    bl
+  ]);
+
+  return scene;
+}
+
+/**
+ * Ceiling, side walls and floor around the back wall
+ */
+function drawRoomShell(ctx, size, tl, tr, br, bl) {
+  const colors = ROOM_CONFIG.COLORS;
+  const slope = ROOM_CONFIG.SIDE_SLOPE;
+  const leftTop = [0, tl[1] - tl[0] * slope];
+  const leftBottom = [0, bl[1] + bl[0] * slope];
+  const rightTop = [size, tr[1] - (size - tr[0]) * slope];
+  const rightBottom = [size, br[1] + (size - br[0]) * slope];
+
+  ctx.fillStyle = colors.ceiling;
+  fillRoomPolygon(ctx, [[0, 0], [size, 0], rightTop, tr, tl, leftTop]);
+
+  ctx.fillStyle = colors.leftWall;
+  fillRoomPolygon(ctx, [leftTop, tl, bl, leftBottom]);
+
+  ctx.fillStyle = colors.rightWall;
+  fillRoomPolygon(ctx, [tr, rightTop, rightBottom, br]);
+
+  const floor = ctx.createLinearGradient(0, Math.min(bl[1], br[1]), 0, size);
+  floor.addColorStop(0, colors.floorBack);
+  floor.addColorStop(1, colors.floorFront);
+  ctx.fillStyle = floor;
+  fillRoomPolygon(ctx, [bl, br, rightBottom, [size, size], [0, size], leftBottom]);
+}
+
+/**
+ * Light from the left across the wall, with soft shadow under the ceiling
+ * and above the floor (strength follows the realism setting)
+ */
+function drawRoomLighting(ctx, tl, tr, br, bl) {
+  const strength = canvasState.mockupRealism / 100;
+  if (strength <= 0) return;
+
+  ctx.save();
+  traceRoomPolygon(ctx, [tl, tr, br, bl]);
+  ctx.clip();
+  ctx.globalAlpha = strength;
+
+  const wallTop = Math.min(tl[1], tr[1]);
+  const wallBottom = Math.max(bl[1], br[1]);
+
+  // Falloff away from the light
+  ctx.globalCompositeOperation = 'multiply';
+  const falloff = ctx.createLinearGradient(tl[0], 0, tr[0], 0);
+  falloff.addColorStop(0, '#ffffff');
+  falloff.addColorStop(1, '#bdb6ac');
+  ctx.fillStyle = falloff;
+  ctx.fillRect(tl[0], wallTop, tr[0] - tl[0], wallBottom - wallTop);
+
+  // Ceiling and floor shadow
+  const shadow = ctx.createLinearGradient(0, tl[1], 0, bl[1]);
+  shadow.addColorStop(0, '#cfc9c0');
+  shadow.addColorStop(0.1, '#ffffff');
+  shadow.addColorStop(0.92, '#ffffff');
+  shadow.addColorStop(1, '#d6d0c6');
+  ctx.fillStyle = shadow;
+  ctx.fillRect(tl[0], wallTop, tr[0] - tl[0], wallBottom - wallTop);
+
+  // Warm glow where the light lands
+  ctx.globalCompositeOperation = 'screen';
+  const radius = (tr[0] - tl[0]) * 0.8;
+  const glow = ctx.createRadialGradient(tl[0], tl[1], 0, tl[0], tl[1], radius);
+  glow.addColorStop(0, 'rgba(255, 238, 210, 0.45)');
+  glow.addColorStop(1, 'rgba(255, 238, 210, 0)');
+  ctx.fillStyle = glow;
+  ctx.fillRect(tl[0], wallTop, tr[0] - tl[0], wallBottom - wallTop);
+
+  ctx.restore();
+}
+
+/**
+ * Fill a polygon given as [[x, y], ...]
+ */
+function fillRoomPolygon(ctx, points) {
+  traceRoomPolygon(ctx, points);
+  ctx.fill();
+}
+
+/**
+ * Start a path around a polygon given as [[x, y], ...]
+ */
+function traceRoomPolygon(ctx, points) {
+  ctx.beginPath();
+  points.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+  ctx.closePath();
+}
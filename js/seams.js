@@ -0,0 +1,303 @@
+/* ============================================================================
+SEAMS.JS - Seam Discontinuity Detection
+
+This file compares the tile's opposite edges the way they meet when the
+pattern repeats, and turns the result into:
+
+- A per-seam heatmap (drawn along every seam by the seamless test)
+- An overall seamless score (shown in the pattern info bar)
+
+Each seam position is scored against the tile's own pixel-to-pixel texture
+next to that edge, so busy patterns aren't flagged just for being busy.
+Flipped and turned tiles (mirror, pinwheel) are compared edge-as-drawn.
+============================================================================ */
+
+/**
+ * Seam analysis cache
+ * Re-analyzed only when the tile or the repeat layout changes
+ */
+const seamState = {
+  image: null,
+  layoutKey: '',
+  result: null
+};
+
+/**
+ * Analyze the current tile's seams (cached)
+ * @returns {object|null} { cells, score } or null if unreadable
+ */
+function analyzeSeams() {
+  const img = canvasState.tileImage;
+  // Lattice cells meet along their clip shape, not the tile's edges
+  if (!img || isLatticeRepeat()) return null;
+
+  const layoutKey = getSeamLayoutKey();
+  if (seamState.image === img && seamState.layoutKey === layoutKey) {
+    return seamState.result;
+  }
+
+  seamState.image = img;
+  seamState.layoutKey = layoutKey;
+  seamState.result = computeSeams(img);
+  return seamState.result;
+}
+
+/**
+ * Key describing how edges line up for the current repeat type
+ */
+function getSeamLayoutKey() {
+  return `${canvasState.repeatType}:${canvasState.dropRatio}`;
+}
+
+/**
+ * Read the tile's edges and score every seam of the repeat
+ * Mirror/pinwheel repeats flip or turn tiles, so seams are scored per
+ * 2 × 2 block position using the edges as they actually appear on screen.
+ */
+function computeSeams(img) {
+  const width = img.naturalWidth || img.width;
+  const height = img.naturalHeight || img.height;
+  if (width < 2 || height < 2) return null;
+
+  // One sample count for every edge so turned tiles line up
+  const samples = Math.min(Math.max(width, height), SEAM_CONFIG.MAX_SAMPLES);
+
+  // Outer two columns on each side: [left, left+1, right-1, right]
+  const columns = readEdgePixels(img, [0, 1, width - 2, width - 1], 'column', samples);
+  // Outer two rows on each side: [top, top+1, bottom-1, bottom]
+  const rows = readEdgePixels(img, [0, 1, height - 2, height - 1], 'row', samples);
+
+  if (!columns || !rows) return null;
+
+  const edges = {
+    left: [columns[0], columns[1]],
+    right: [columns[3], columns[2]],
+    top: [rows[0], rows[1]],
+    bottom: [rows[3], rows[2]]
+  };
+
+  const shift = getRepeatShift();
+  const cells = [];
+  let total = 0;
+
+  for (let a = 0; a < 2; a++) {
+    cells[a] = [];
+    for (let b = 0; b < 2; b++) {
+      const tile = getTileTransform(a, b);
+      const vertical = scoreSeam(
+        getScreenEdge(edges, tile, 'right', samples),
+        getScreenEdge(edges, getTileTransform(a + 1, b), 'left', samples),
+        samples,
+        Math.round(shift.vertical * samples)
+      );
+      const horizontal = scoreSeam(
+        getScreenEdge(edges, tile, 'bottom', samples),
+        getScreenEdge(edges, getTileTransform(a, b + 1), 'top', samples),
+        samples,
+        Math.round(shift.horizontal * samples)
+      );
+
+      cells[a][b] = { vertical, horizontal };
+      total += vertical.mean + horizontal.mean;
+    }
+  }
+
+  const mismatch = total / 8;
+
+  return {
+    cells,
+    score: Math.round((1 - mismatch) * 1000) / 10
+  };
+}
+
+/**
+ * Edge of a drawn tile as it appears on screen
+ * @param {object} edges - Source edges { left, right, top, bottom } → [edge, inner]
+ * @param {object} transform - Tile transform from getTileTransform()
+ * @param {string} side - Screen side: 'left', 'right', 'top' or 'bottom'
+ * @param {number} samples - Samples per edge
+ * @returns {Array<Uint8ClampedArray>} [edge, inner] indexed top→bottom / left→right on screen
+ */
+function getScreenEdge(edges, transform, side, samples) {
+  const edge = new Uint8ClampedArray(samples * 4);
+  const inner = new Uint8ClampedArray(samples * 4);
+
+  for (let k = 0; k < samples; k++) {
+    const t = (k + 0.5) / samples;
+    const u = side === 'left' ? 0 : side === 'right' ? 1 : t;
+    const v = side === 'top' ? 0 : side === 'bottom' ? 1 : t;
+    const src = mapTilePointToSource(u, v, transform);
+
+    // Whichever source edge the point landed on, and where along it
+    let sourceSide;
+    let along;
+    if (src.u === 0 || src.u === 1) {
+      sourceSide = src.u === 0 ? 'left' : 'right';
+      along = src.v;
+    } else {
+      sourceSide = src.v === 0 ? 'top' : 'bottom';
+      along = src.u;
+    }
+
+    const index = Math.min(samples - 1, Math.floor(along * samples));
+    const [sourceEdge, sourceInner] = edges[sourceSide];
+
+    for (let c = 0; c < 4; c++) {
+      edge[k * 4 + c] = sourceEdge[index * 4 + c];
+      inner[k * 4 + c] = sourceInner[index * 4 + c];
+    }
+  }
+
+  return [edge, inner];
+}
+
+/**
+ * Copy selected columns or rows of an image into flat RGBA arrays
+ * @param {HTMLImageElement} img - Source image
+ * @param {Array<number>} indices - Column (x) or row (y) indices to read
+ * @param {string} axis - 'column' or 'row'
+ * @param {number} samples - Length to resample each line to
+ * @returns {Array<Uint8ClampedArray>|null} One RGBA array per index
+ */
+function readEdgePixels(img, indices, axis, samples) {
+  const isColumn = axis === 'column';
+  const canvas = document.createElement('canvas');
+  canvas.width = isColumn ? indices.length : samples;
+  canvas.height = isColumn ? samples : indices.length;
+
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  const srcLength = isColumn ? (img.naturalHeight || img.height) : (img.naturalWidth || img.width);
+
+  indices.forEach((index, n) => {
+    if (isColumn) {
+      ctx.drawImage(img, index, 0, 1, srcLength, n, 0, 1, samples);
+    } else {
+      ctx.drawImage(img, 0, index, srcLength, 1, 0, n, samples, 1);
+    }
+  });
+
+  const imageData = safeGetImageData(ctx, 0, 0, canvas.width, canvas.height);
+  if (!imageData) return null;
+
+  return indices.map((index, n) => {
+    const line = new Uint8ClampedArray(samples * 4);
+    for (let k = 0; k < samples; k++) {
+      const src = isColumn ? (k * indices.length + n) * 4 : (n * samples + k) * 4;
+      line[k * 4] = imageData.data[src];
+      line[k * 4 + 1] = imageData.data[src + 1];
+      line[k * 4 + 2] = imageData.data[src + 2];
+      line[k * 4 + 3] = imageData.data[src + 3];
+    }
+    return line;
+  });
+}
+
+/**
+ * Score one seam
+ * @param {Array<Uint8ClampedArray>} near - [edge, inner] of the tile before the seam
+ * @param {Array<Uint8ClampedArray>} far - [edge, inner] of the tile after the seam
+ * @param {number} samples - Samples per edge
+ * @param {number} shift - Offset (samples) of the far tile along the seam
+ * @returns {object} { heat: Float32Array (0-1 per sample, indexed along the near edge), mean }
+ */
+function scoreSeam(near, far, samples, shift) {
+  const [end, endInner] = near;
+  const [start, startInner] = far;
+  const heat = new Float32Array(samples);
+  let total = 0;
+
+  for (let k = 0; k < samples; k++) {
+    // The far tile's edge is shifted along the seam
+    const n = mod(k - shift, samples);
+
+    const across = pixelDifference(end, k, start, n);
+    const texture = (pixelDifference(end, k, endInner, k) + pixelDifference(start, n, startInner, n)) / 2;
+
+    heat[k] = clamp((across - texture) / SEAM_CONFIG.TOLERANCE, 0, 1);
+    total += heat[k];
+  }
+
+  return { heat, mean: total / samples };
+}
+
+/**
+ * Average RGBA difference between two pixels (0-1)
+ */
+function pixelDifference(a, i, b, j) {
+  const ai = i * 4;
+  const bj = j * 4;
+  return (
+    Math.abs(a[ai] - b[bj]) +
+    Math.abs(a[ai + 1] - b[bj + 1]) +
+    Math.abs(a[ai + 2] - b[bj + 2]) +
+    Math.abs(a[ai + 3] - b[bj + 3])
+  ) / (4 * 255);
+}
+
+/**
+ * Build a 1px heatmap strip for a seam (green = match, red = break)
+ * @param {Float32Array} heat - Heat values
+ * @param {boolean} vertical - True for a 1 × n strip, false for n × 1
+ * @returns {HTMLCanvasElement} Strip canvas
+ */
+function createHeatmapStrip(heat, vertical) {
+  const canvas = document.createElement('canvas');
+  canvas.width = vertical ? 1 : heat.length;
+  canvas.height = vertical ? heat.length : 1;
+
+  const ctx = canvas.getContext('2d');
+  const imageData = ctx.createImageData(canvas.width, canvas.height);
+
+  for (let k = 0; k < heat.length; k++) {
+    const h = heat[k];
+    imageData.data[k * 4] = Math.round(255 * Math.min(1, h * 2));
+    imageData.data[k * 4 + 1] = Math.round(255 * Math.min(1, (1 - h) * 2));
+    imageData.data[k * 4 + 2] = 0;
+    imageData.data[k * 4 + 3] = Math.round(255 * (0.35 + 0.6 * h));
+  }
+
+  ctx.putImageData(imageData, 0, 0);
+  return canvas;
+}
+
+/**
+ * Heatmap strips for the current tile (cached with the analysis)
+ * @returns {Array|null} strips[a][b] = { vertical, horizontal } for block position (a, b)
+ */
+function getSeamHeatmaps() {
+  const result = analyzeSeams();
+  if (!result) return null;
+
+  if (!result.strips) {
+    result.strips = result.cells.map(column => column.map(cell => ({
+      vertical: createHeatmapStrip(cell.vertical.heat, true),
+      horizontal: createHeatmapStrip(cell.horizontal.heat, false)
+    })));
+  }
+
+  return result.strips;
+}
+
+/**
+ * Update the seamless score in the pattern info bar
+ */
+function updateSeamScore() {
+  const infoSeams = document.getElementById('infoSeams');
+  const result = analyzeSeams();
+
+  if (!result) {
+    infoSeams.textContent = '--';
+    infoSeams.className = 'info-value';
+    return;
+  }
+
+  let scoreClass = '';
+  if (result.score >= SEAM_CONFIG.SCORE_EXCELLENT) {
+    scoreClass = 'success';
+  } else if (result.score >= SEAM_CONFIG.SCORE_GOOD) {
+    scoreClass = 'warning';
+  }
+
+  infoSeams.textContent = `${result.score.toFixed(1)}%`;
+  infoSeams.className = 'info-value ' + scoreClass;
+}
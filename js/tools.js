@@ -16,7 +16,7 @@ This file handles the tools section functionality:
   const calcState = {
   size: 9,           // Size in inches or cm
   dpi: 150,          // DPI
-  activeField: ‘size’, // ‘size’ or ‘dpi’
+  activeField: 'size', // 'size' or 'dpi'
   useMetric: false   // false = inches, true = cm
   };
 
@@ -24,7 +24,7 @@ This file handles the tools section functionality:
 
 - Saved patterns array
   */
-  let savedPatterns = JSON.parse(localStorage.getItem(‘rudeboy-patterns’) || ‘[]’);
+  let savedPatterns = JSON.parse(localStorage.getItem('rudeboy-patterns') || '[]');
 
 /**
 
@@ -46,32 +46,31 @@ COLOR PALETTE & HEX CHECKER
   */
   function setupColorTools() {
   // Palette toggle
-  const paletteToggle = document.getElementById(‘paletteToggle’);
-  const colorPalette = document.getElementById(‘colorPalette’);
-  const hexChecker = document.getElementById(‘hexChecker’);
+  const paletteToggle = document.getElementById('paletteToggle');
+  const colorPalette = document.getElementById('colorPalette');
+  const hexChecker = document.getElementById('hexChecker');
   let hexCheckerMode = false;
 
-paletteToggle.addEventListener(‘click’, () => {
+paletteToggle.addEventListener('click', () => {
 hexCheckerMode = !hexCheckerMode;
 if (hexCheckerMode) {
-colorPalette.classList.add(‘hex-mode’);
-hexChecker.classList.add(‘active’);
-paletteToggle.textContent = ‘Color Palette’;
+colorPalette.classList.add('hex-mode');
+hexChecker.classList.add('active');
+paletteToggle.textContent = 'Color Palette';
 } else {
-colorPalette.classList.remove(‘hex-mode’);
-hexChecker.classList.remove(‘active’);
-paletteToggle.textContent = ‘Hex Checker’;
+colorPalette.classList.remove('hex-mode');
+hexChecker.classList.remove('active');
+paletteToggle.textContent = 'Hex Checker';
 }
 });
 
 // Hex input
-const hexInput = document.getElementById(‘hexInput’);
-const hexPreview = document.getElementById(‘hexPreview’);
+const hexInput = document.getElementById('hexInput');
+const hexPreview = document.getElementById('hexPreview');
 
-hexInput.addEventListener(‘input’, (e) => {
+hexInput.addEventListener('input', (e) => {
 let hex = e.target.value.trim();
 
-```
 if (!hex.startsWith('#')) {
   hex = '#' + hex;
   hexInput.value = hex;
@@ -81,13 +80,26 @@ if (isValidHex(hex)) {
   const rgb = hexToRgb(hex);
   hexPreview.style.backgroundColor = `rgb(${rgb.r}, ${rgb.g}, ${rgb.b})`;
 }
-```
 
 });
 
 // Set initial hex preview
-hexInput.value = ‘#FF0000’;
-hexPreview.style.backgroundColor = ‘#FF0000’;
+hexInput.value = '#FF0000';
+hexPreview.style.backgroundColor = '#FF0000';
+}
+
+/**
+ * Rate one tile dimension against the print quality thresholds
+ * @param {number} pixels - Width or height in pixels
+ * @returns {object} { rank, text, className } - higher rank is better
+ */
+function assessDimension(pixels) {
+  if (pixels >= QUALITY_CONFIG.EXCELLENT_MIN) {
+    return { rank: 2, text: 'Excellent ✅', className: 'success' };
+  } else if (pixels >= QUALITY_CONFIG.GOOD_MIN) {
+    return { rank: 1, text: 'Good ⚠️', className: 'warning' };
+  }
+  return { rank: 0, text: 'Low ❌', className: '' };
 }
 
 /**
@@ -101,31 +113,32 @@ const width = canvasState.tileImage.width;
 const height = canvasState.tileImage.height;
 
 // Update pattern info
-document.getElementById(‘infoPattern’).textContent = `${width} × ${height}px`;
-
-// Quality assessment
-let qualityText = ‘’;
-let qualityClass = ‘’;
-
-if (width >= 3000 && height >= 3000) {
-qualityText = ‘Excellent ✅’;
-qualityClass = ‘success’;
-} else if (width >= 2000 && height >= 2000) {
-qualityText = ‘Good ⚠️’;
-qualityClass = ‘warning’;
+document.getElementById('infoPattern').textContent = `${width} × ${height}px`;
+
+// Quality assessment - width and height are rated separately
+const widthQuality = assessDimension(width);
+const heightQuality = assessDimension(height);
+let qualityText;
+let qualityClass;
+
+if (widthQuality.rank === heightQuality.rank) {
+qualityText = widthQuality.text;
+qualityClass = widthQuality.className;
 } else {
-qualityText = ‘Low ❌’;
-qualityClass = ‘’;
+const worst = widthQuality.rank < heightQuality.rank ? widthQuality : heightQuality;
+qualityText = `W ${widthQuality.text} · H ${heightQuality.text}`;
+qualityClass = worst.className;
 }
 
-document.getElementById(‘infoQuality’).textContent = qualityText;
-document.getElementById(‘infoQuality’).className = ’info-value ’ + qualityClass;
+document.getElementById('infoQuality').textContent = qualityText;
+document.getElementById('infoQuality').className = 'info-value ' + qualityClass;
 
-// Extract colors
-const tempCanvas = document.createElement(‘canvas’);
-tempCanvas.width = Math.min(width, 500);
-tempCanvas.height = Math.min(height, 500);
-const tempCtx = tempCanvas.getContext(‘2d’);
+// Extract colors (sampled at the tile's own aspect ratio)
+const sampleScale = Math.min(1, 500 / Math.max(width, height));
+const tempCanvas = document.createElement('canvas');
+tempCanvas.width = Math.max(1, Math.round(width * sampleScale));
+tempCanvas.height = Math.max(1, Math.round(height * sampleScale));
+const tempCtx = tempCanvas.getContext('2d');
 tempCtx.drawImage(canvasState.tileImage, 0, 0, tempCanvas.width, tempCanvas.height);
 
 const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
@@ -142,7 +155,7 @@ colorMap.set(key, (colorMap.get(key) || 0) + 1);
 }
 
 const uniqueColors = colorMap.size;
-document.getElementById(‘infoColors’).textContent = `${uniqueColors}`;
+document.getElementById('infoColors').textContent = `${uniqueColors}`;
 
 // Get top 9 colors
 const sortedColors = Array.from(colorMap.entries())
@@ -150,13 +163,12 @@ const sortedColors = Array.from(colorMap.entries())
 .slice(0, 9);
 
 // Render color palette
-const colorPalette = document.getElementById(‘colorPalette’);
-colorPalette.innerHTML = ‘’;
+const colorPalette = document.getElementById('colorPalette');
+colorPalette.innerHTML = '';
 sortedColors.forEach(([color]) => {
-const [r, g, b] = color.split(’,’).map(Number);
+const [r, g, b] = color.split(',').map(Number);
 const hex = rgbToHex(r, g, b);
 
-```
 const swatch = document.createElement('div');
 swatch.className = 'color-swatch';
 swatch.style.backgroundColor = `rgb(${r},${g},${b})`;
@@ -174,7 +186,6 @@ swatch.addEventListener('click', () => {
 });
 
 colorPalette.appendChild(swatch);
-```
 
 });
 
@@ -183,7 +194,7 @@ let minLum = 1;
 let maxLum = 0;
 
 sortedColors.forEach(([color]) => {
-const [r, g, b] = color.split(’,’).map(Number);
+const [r, g, b] = color.split(',').map(Number);
 const lum = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
 minLum = Math.min(minLum, lum);
 maxLum = Math.max(maxLum, lum);
@@ -192,15 +203,18 @@ maxLum = Math.max(maxLum, lum);
 const contrastRatio = maxLum / (minLum + 0.05);
 
 if (contrastRatio > 7) {
-document.getElementById(‘infoContrast’).textContent = ‘High’;
-document.getElementById(‘infoContrast’).className = ‘info-value success’;
+document.getElementById('infoContrast').textContent = 'High';
+document.getElementById('infoContrast').className = 'info-value success';
 } else if (contrastRatio > 3) {
-document.getElementById(‘infoContrast’).textContent = ‘Medium’;
-document.getElementById(‘infoContrast’).className = ‘info-value warning’;
+document.getElementById('infoContrast').textContent = 'Medium';
+document.getElementById('infoContrast').className = 'info-value warning';
 } else {
-document.getElementById(‘infoContrast’).textContent = ‘Low’;
-document.getElementById(‘infoContrast’).className = ‘info-value’;
+document.getElementById('infoContrast').textContent = 'Low';
+document.getElementById('infoContrast').className = 'info-value';
 }
+
+// Seamless score
+updateSeamScore();
 }
 
 /**
@@ -208,10 +222,10 @@ document.getElementById(‘infoContrast’).className = ‘info-value’;
 - RGB to Hex conversion
   */
   function rgbToHex(r, g, b) {
-  return ‘#’ + [r, g, b].map(x => {
+  return '#' + [r, g, b].map(x => {
   const hex = x.toString(16);
-  return hex.length === 1 ? ‘0’ + hex : hex;
-  }).join(’’);
+  return hex.length === 1 ? '0' + hex : hex;
+  }).join('');
   }
 
 /**
@@ -219,9 +233,9 @@ document.getElementById(‘infoContrast’).className = ‘info-value’;
 - Hex to RGB conversion
   */
   function hexToRgb(hex) {
-  hex = hex.replace(’#’, ‘’);
+  hex = hex.replace('#', '');
   if (hex.length === 3) {
-  hex = hex.split(’’).map(c => c + c).join(’’);
+  hex = hex.split('').map(c => c + c).join('');
   }
   const r = parseInt(hex.substring(0, 2), 16);
   const g = parseInt(hex.substring(2, 4), 16);
@@ -246,42 +260,41 @@ DIMENSION CALCULATOR
 - Set up dimension calculator
   */
   function setupCalculator() {
-  const calcSlider = document.getElementById(‘calcSlider’);
-  const labelSize = document.getElementById(‘labelSize’);
-  const labelDPI = document.getElementById(‘labelDPI’);
-  const currentValue = document.getElementById(‘currentValue’);
-  const calcResultValue = document.getElementById(‘calcResultValue’);
-  const btnInches = document.getElementById(‘btnInches’);
-  const btnCM = document.getElementById(‘btnCM’);
-  const calcRecommendationsToggle = document.getElementById(‘calcRecommendationsToggle’);
-  const calcRecommendations = document.getElementById(‘calcRecommendations’);
+  const calcSlider = document.getElementById('calcSlider');
+  const labelSize = document.getElementById('labelSize');
+  const labelDPI = document.getElementById('labelDPI');
+  const currentValue = document.getElementById('currentValue');
+  const calcResultValue = document.getElementById('calcResultValue');
+  const btnInches = document.getElementById('btnInches');
+  const btnCM = document.getElementById('btnCM');
+  const calcRecommendationsToggle = document.getElementById('calcRecommendationsToggle');
+  const calcRecommendations = document.getElementById('calcRecommendations');
 
 // Toggle recommendations
-calcRecommendationsToggle.addEventListener(‘click’, () => {
-const isActive = calcRecommendations.classList.contains(‘active’);
-calcRecommendations.classList.toggle(‘active’, !isActive);
-calcRecommendationsToggle.textContent = isActive ? ‘Recommendations’ : ‘Hide’;
+calcRecommendationsToggle.addEventListener('click', () => {
+const isActive = calcRecommendations.classList.contains('active');
+calcRecommendations.classList.toggle('active', !isActive);
+calcRecommendationsToggle.textContent = isActive ? 'Recommendations' : 'Hide';
 });
 
 // Size/DPI toggle
-labelSize.addEventListener(‘click’, () => {
-calcState.activeField = ‘size’;
+labelSize.addEventListener('click', () => {
+calcState.activeField = 'size';
 updateCalcDisplay();
 });
 
-labelDPI.addEventListener(‘click’, () => {
-calcState.activeField = ‘dpi’;
+labelDPI.addEventListener('click', () => {
+calcState.activeField = 'dpi';
 updateCalcDisplay();
 });
 
 // Inches/CM toggle
-btnInches.addEventListener(‘click’, () => {
+btnInches.addEventListener('click', () => {
 if (calcState.useMetric) {
 calcState.useMetric = false;
-btnInches.classList.add(‘active’);
-btnCM.classList.remove(‘active’);
+btnInches.classList.add('active');
+btnCM.classList.remove('active');
 
-```
   if (calcState.activeField === 'size') {
     calcState.size = Math.round(calcState.size / 2.54);
     calcSlider.max = '200';
@@ -289,17 +302,15 @@ btnCM.classList.remove(‘active’);
   
   updateCalcDisplay();
 }
-```
 
 });
 
-btnCM.addEventListener(‘click’, () => {
+btnCM.addEventListener('click', () => {
 if (!calcState.useMetric) {
 calcState.useMetric = true;
-btnCM.classList.add(‘active’);
-btnInches.classList.remove(‘active’);
+btnCM.classList.add('active');
+btnInches.classList.remove('active');
 
-```
   if (calcState.activeField === 'size') {
     calcState.size = Math.round(calcState.size * 2.54);
     calcSlider.max = '500';
@@ -307,25 +318,23 @@ btnInches.classList.remove(‘active’);
   
   updateCalcDisplay();
 }
-```
 
 });
 
 // Slider
-calcSlider.addEventListener(‘input’, (e) => {
+calcSlider.addEventListener('input', (e) => {
 calcState[calcState.activeField] = parseInt(e.target.value);
 updateCalcDisplay();
 });
 
 // Preset buttons
-document.querySelectorAll(’.calc-preset-btn’).forEach(btn => {
-btn.addEventListener(‘click’, () => {
+document.querySelectorAll('.calc-preset-btn').forEach(btn => {
+btn.addEventListener('click', () => {
 const size = btn.dataset.size;
 const dpi = btn.dataset.dpi;
 const unit = btn.dataset.unit;
 const px = btn.dataset.px;
 
-```
   if (px) {
     const pxVal = parseInt(px);
     const inches = pxVal / 72;
@@ -346,7 +355,6 @@ const px = btn.dataset.px;
   
   updateCalcDisplay();
 });
-```
 
 });
 
@@ -359,27 +367,26 @@ updateCalcDisplay();
 - Update calculator display
   */
   function updateCalcDisplay() {
-  const labelSize = document.getElementById(‘labelSize’);
-  const labelDPI = document.getElementById(‘labelDPI’);
-  const currentValue = document.getElementById(‘currentValue’);
-  const calcSlider = document.getElementById(‘calcSlider’);
-  const calcResultValue = document.getElementById(‘calcResultValue’);
+  const labelSize = document.getElementById('labelSize');
+  const labelDPI = document.getElementById('labelDPI');
+  const currentValue = document.getElementById('currentValue');
+  const calcSlider = document.getElementById('calcSlider');
+  const calcResultValue = document.getElementById('calcResultValue');
 
 // Update active label
-labelSize.classList.remove(‘active’);
-labelDPI.classList.remove(‘active’);
+labelSize.classList.remove('active');
+labelDPI.classList.remove('active');
 
-const activeLabel = calcState.activeField === ‘size’ ? labelSize : labelDPI;
-activeLabel.classList.add(‘active’);
+const activeLabel = calcState.activeField === 'size' ? labelSize : labelDPI;
+activeLabel.classList.add('active');
 
 // Update current value display
 const value = calcState[calcState.activeField];
-const unit = calcState.useMetric ? ‘cm’ : ‘”’;
+const unit = calcState.useMetric ? 'cm' : '"';
 
-if (calcState.activeField === ‘size’) {
+if (calcState.activeField === 'size') {
 currentValue.textContent = `${value} × ${value}${unit}`;
 
-```
 if (calcState.useMetric) {
   calcSlider.min = '1';
   calcSlider.max = '500';
@@ -387,19 +394,17 @@ if (calcState.useMetric) {
   calcSlider.min = '1';
   calcSlider.max = '200';
 }
-```
 
 } else {
 currentValue.textContent = value;
-calcSlider.min = ‘72’;
-calcSlider.max = ‘600’;
+calcSlider.min = '72';
+calcSlider.max = '600';
 }
 
 calcSlider.value = value;
 
 // Calculate result
-const sizeInInches = calcState.useMetric ? calcState.size / 2.54 : calcState.size;
-const px = Math.round(sizeInInches * calcState.dpi);
+const px = sizeToPixels(calcState.size, calcState.dpi, calcState.useMetric ? 'cm' : 'in');
 
 if (px === 1) {
 calcResultValue.textContent = `1 × 1px`;
@@ -408,6 +413,30 @@ calcResultValue.textContent = `${px} × ${px}px`;
 }
 }
 
+/**
+ * Pixels for a printed size at a DPI (also used by the export modal)
+ * @param {number} size - Size in inches or cm
+ * @param {number} dpi - Dots per inch
+ * @param {string} unit - 'in' or 'cm'
+ * @returns {number} Whole pixels
+ */
+function sizeToPixels(size, dpi, unit) {
+  const inches = unit === 'cm' ? size / 2.54 : size;
+  return Math.round(inches * dpi);
+}
+
+/**
+ * Printed size of a pixel length at a DPI
+ * @param {number} pixels - Length in pixels
+ * @param {number} dpi - Dots per inch
+ * @param {string} unit - 'in' or 'cm'
+ * @returns {number} Size in inches or cm
+ */
+function pixelsToSize(pixels, dpi, unit) {
+  const inches = pixels / dpi;
+  return unit === 'cm' ? inches * 2.54 : inches;
+}
+
 /* ==========================================================================
 SAVED PATTERNS
 ========================================================================== */
@@ -417,15 +446,15 @@ SAVED PATTERNS
 - Set up saved patterns
   */
   function setupSavedPatterns() {
-  const savePatternBtn = document.getElementById(‘savePatternBtn’);
-  const patternNameInput = document.getElementById(‘patternNameInput’);
+  const savePatternBtn = document.getElementById('savePatternBtn');
+  const patternNameInput = document.getElementById('patternNameInput');
 
 // Save button
-savePatternBtn.addEventListener(‘click’, savePattern);
+savePatternBtn.addEventListener('click', savePattern);
 
 // Enter key to save
-patternNameInput.addEventListener(‘keypress’, (e) => {
-if (e.key === ‘Enter’) savePattern();
+patternNameInput.addEventListener('keypress', (e) => {
+if (e.key === 'Enter') savePattern();
 });
 
 // Initial render
@@ -438,23 +467,25 @@ renderSavedPatterns();
   */
   function savePattern() {
   if (!canvasState.tileImage) {
-  alert(‘Uh oh! It's not me, it's you. Try loading a pattern first!’);
+  alert("Uh oh! It's not me, it's you. Try loading a pattern first!");
   return;
   }
 
-const patternNameInput = document.getElementById(‘patternNameInput’);
+const patternNameInput = document.getElementById('patternNameInput');
 const patternName = patternNameInput.value.trim() || `Pattern ${Date.now()}`;
 
 const patternData = {
 id: Date.now(),
 name: patternName,
 timestamp: new Date().toISOString(),
-imageData: canvasState.canvas.toDataURL(‘image/png’),
+imageData: canvasState.canvas.toDataURL('image/png'),
 settings: {
 scale: canvasState.scale,
 offsetPercentX: canvasState.offsetPercentX,
 offsetPercentY: canvasState.offsetPercentY,
 repeatType: canvasState.repeatType,
+dropRatio: canvasState.dropRatio,
+latticeClip: canvasState.latticeClip,
 backgroundColor: canvasState.backgroundColor,
 zoom: canvasState.zoom,
 panX: canvasState.panX,
@@ -463,9 +494,9 @@ panY: canvasState.panY
 };
 
 savedPatterns.unshift(patternData);
-localStorage.setItem(‘rudeboy-patterns’, JSON.stringify(savedPatterns));
+localStorage.setItem('rudeboy-patterns', JSON.stringify(savedPatterns));
 
-patternNameInput.value = ‘’;
+patternNameInput.value = '';
 renderSavedPatterns();
 
 alert(`✅ "${patternName}" saved!`);
@@ -485,12 +516,13 @@ const img = new Image();
 img.onload = () => {
 canvasState.tileImage = img;
 
-```
 // Restore settings
 canvasState.scale = pattern.settings.scale;
 canvasState.offsetPercentX = pattern.settings.offsetPercentX;
 canvasState.offsetPercentY = pattern.settings.offsetPercentY;
 canvasState.repeatType = pattern.settings.repeatType;
+canvasState.dropRatio = pattern.settings.dropRatio || CANVAS_CONFIG.DEFAULT_DROP_RATIO;
+canvasState.latticeClip = pattern.settings.latticeClip !== false;
 canvasState.backgroundColor = pattern.settings.backgroundColor;
 canvasState.zoom = pattern.settings.zoom;
 canvasState.panX = pattern.settings.panX;
@@ -509,6 +541,9 @@ document.getElementById('offsetY').value = Math.round(canvasState.offsetPercentY
 document.getElementById('offsetYValue').textContent = Math.round(canvasState.offsetPercentY * 100) + '%';
 
 document.getElementById('repeatType').value = canvasState.repeatType;
+syncRepeatTypeControls();
+syncDropRatioControls();
+syncLatticeControls();
 document.getElementById('bgColor').value = canvasState.backgroundColor;
 
 const zoomPercent = Math.round(canvasState.zoom * 100);
@@ -523,7 +558,6 @@ analyzePattern();
 document.getElementById('patternInfo').classList.add('visible');
 drawCanvas();
 hideLoading();
-```
 
 };
 
@@ -535,10 +569,10 @@ img.src = pattern.imageData;
 - Delete saved pattern
   */
   function deletePattern(id) {
-  if (!confirm(‘Delete this pattern?’)) return;
+  if (!confirm('Delete this pattern?')) return;
 
 savedPatterns = savedPatterns.filter(p => p.id !== id);
-localStorage.setItem(‘rudeboy-patterns’, JSON.stringify(savedPatterns));
+localStorage.setItem('rudeboy-patterns', JSON.stringify(savedPatterns));
 renderSavedPatterns();
 }
 
@@ -547,19 +581,18 @@ renderSavedPatterns();
 - Render saved patterns list
   */
   function renderSavedPatterns() {
-  const savedPatternsList = document.getElementById(‘savedPatternsList’);
-  savedPatternsList.innerHTML = ‘’;
+  const savedPatternsList = document.getElementById('savedPatternsList');
+  savedPatternsList.innerHTML = '';
 
 if (savedPatterns.length === 0) {
-savedPatternsList.innerHTML = ‘<div style="text-align:center;color:#666;padding:1rem;font-size:0.9rem;">No saved patterns yet</div>’;
+savedPatternsList.innerHTML = '<div style="text-align:center;color:#666;padding:1rem;font-size:0.9rem;">No saved patterns yet</div>';
 return;
 }
 
 savedPatterns.forEach(pattern => {
-const item = document.createElement(‘div’);
-item.className = ‘saved-pattern-item’;
+const item = document.createElement('div');
+item.className = 'saved-pattern-item';
 
-```
 const thumb = document.createElement('img');
 thumb.className = 'saved-pattern-thumb';
 thumb.src = pattern.imageData;
@@ -593,7 +626,6 @@ item.appendChild(deleteBtn);
 item.onclick = () => loadPattern(pattern.id);
 
 savedPatternsList.appendChild(item);
-```
 
 });
 }
\ No newline at end of file
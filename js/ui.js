@@ -39,35 +39,35 @@ FILE UPLOAD
 - - Drag and drop support
     */
     function setupFileUpload() {
-    const fileInput = document.getElementById(‘fileInput’);
-    const uploadBtn = document.getElementById(‘uploadBtnHeader’);
-    const canvas = document.getElementById(‘canvas’);
+    const fileInput = document.getElementById('fileInput');
+    const uploadBtn = document.getElementById('uploadBtnHeader');
+    const canvas = document.getElementById('canvas');
 
 // Upload button click
-uploadBtn.addEventListener(‘click’, () => fileInput.click());
+uploadBtn.addEventListener('click', () => fileInput.click());
 
 // File input change
-fileInput.addEventListener(‘change’, (e) => {
+fileInput.addEventListener('change', (e) => {
 if (e.target.files[0]) {
 loadImageFromFile(e.target.files[0]);
 }
 });
 
 // Drag over canvas
-canvas.addEventListener(‘dragover’, (e) => {
+canvas.addEventListener('dragover', (e) => {
 e.preventDefault();
-canvas.style.opacity = ‘0.7’;
+canvas.style.opacity = '0.7';
 });
 
 // Drag leave canvas
-canvas.addEventListener(‘dragleave’, () => {
-canvas.style.opacity = ‘1’;
+canvas.addEventListener('dragleave', () => {
+canvas.style.opacity = '1';
 });
 
 // Drop on canvas
-canvas.addEventListener(‘drop’, (e) => {
+canvas.addEventListener('drop', (e) => {
 e.preventDefault();
-canvas.style.opacity = ‘1’;
+canvas.style.opacity = '1';
 if (e.dataTransfer.files[0]) {
 loadImageFromFile(e.dataTransfer.files[0]);
 }
@@ -88,49 +88,48 @@ SLIDERS
     */
     function setupSliders() {
     // Offset X slider
-    const offsetX = document.getElementById(‘offsetX’);
-    const offsetXValue = document.getElementById(‘offsetXValue’);
+    const offsetX = document.getElementById('offsetX');
+    const offsetXValue = document.getElementById('offsetXValue');
 
-offsetX.addEventListener(‘input’, (e) => {
+offsetX.addEventListener('input', (e) => {
 canvasState.offsetPercentX = parseInt(e.target.value) / 100;
-offsetXValue.textContent = e.target.value + ‘%’;
-drawCanvas();
+offsetXValue.textContent = e.target.value + '%';
+requestDraw();
 });
 
-offsetX.addEventListener(‘change’, (e) => {
+offsetX.addEventListener('change', (e) => {
 const snapped = snap(parseInt(e.target.value), 10);
 canvasState.offsetPercentX = snapped / 100;
 offsetX.value = snapped;
-offsetXValue.textContent = snapped + ‘%’;
+offsetXValue.textContent = snapped + '%';
 drawCanvas();
 });
 
 // Offset Y slider
-const offsetY = document.getElementById(‘offsetY’);
-const offsetYValue = document.getElementById(‘offsetYValue’);
+const offsetY = document.getElementById('offsetY');
+const offsetYValue = document.getElementById('offsetYValue');
 
-offsetY.addEventListener(‘input’, (e) => {
+offsetY.addEventListener('input', (e) => {
 canvasState.offsetPercentY = parseInt(e.target.value) / 100;
-offsetYValue.textContent = e.target.value + ‘%’;
-drawCanvas();
+offsetYValue.textContent = e.target.value + '%';
+requestDraw();
 });
 
-offsetY.addEventListener(‘change’, (e) => {
+offsetY.addEventListener('change', (e) => {
 const snapped = snap(parseInt(e.target.value), 10);
 canvasState.offsetPercentY = snapped / 100;
 offsetY.value = snapped;
-offsetYValue.textContent = snapped + ‘%’;
+offsetYValue.textContent = snapped + '%';
 drawCanvas();
 });
 
 // Scale slider
-const patternScale = document.getElementById(‘patternScale’);
-const scaleValue = document.getElementById(‘scaleValue’);
+const patternScale = document.getElementById('patternScale');
+const scaleValue = document.getElementById('scaleValue');
 
-patternScale.addEventListener(‘input’, (e) => {
+patternScale.addEventListener('input', (e) => {
 const sliderVal = parseInt(e.target.value);
 
-```
 if (sliderVal <= 50) {
   canvasState.scale = 0.05 + (sliderVal / 50) * 0.95;
 } else {
@@ -138,15 +137,13 @@ if (sliderVal <= 50) {
 }
 
 scaleValue.textContent = canvasState.scale.toFixed(2) + '×';
-drawCanvas();
-```
+requestDraw();
 
 });
 
-patternScale.addEventListener(‘change’, (e) => {
+patternScale.addEventListener('change', (e) => {
 const sliderVal = parseInt(e.target.value);
 
-```
 if (sliderVal <= 50) {
   canvasState.scale = 0.05 + (sliderVal / 50) * 0.95;
 } else {
@@ -165,18 +162,16 @@ if (canvasState.scale <= 1.0) {
 patternScale.value = newSliderVal;
 scaleValue.textContent = canvasState.scale.toFixed(2) + '×';
 drawCanvas();
-```
 
 });
 
 // Zoom slider
-const zoomSlider = document.getElementById(‘zoomSlider’);
-const zoomValue = document.getElementById(‘zoomValue’);
+const zoomSlider = document.getElementById('zoomSlider');
+const zoomValue = document.getElementById('zoomValue');
 
-zoomSlider.addEventListener(‘input’, (e) => {
+zoomSlider.addEventListener('input', (e) => {
 const sliderVal = parseInt(e.target.value);
 
-```
 if (sliderVal <= 50) {
   canvasState.zoom = (1 + (sliderVal / 50) * 99) / 100;
 } else {
@@ -184,15 +179,13 @@ if (sliderVal <= 50) {
 }
 
 zoomValue.textContent = Math.round(canvasState.zoom * 100) + '%';
-drawCanvas();
-```
+requestDraw();
 
 });
 
-zoomSlider.addEventListener(‘change’, (e) => {
+zoomSlider.addEventListener('change', (e) => {
 const sliderVal = parseInt(e.target.value);
 
-```
 if (sliderVal <= 50) {
   canvasState.zoom = (1 + (sliderVal / 50) * 99) / 100;
 } else {
@@ -213,28 +206,47 @@ if (snapped <= 100) {
 zoomSlider.value = newSliderVal;
 zoomValue.textContent = snapped + '%';
 drawCanvas();
-```
 
 });
 
 // Mockup zoom slider
-const mockupZoom = document.getElementById(‘mockupZoom’);
-const mockupZoomValue = document.getElementById(‘mockupZoomValue’);
+const mockupZoom = document.getElementById('mockupZoom');
+const mockupZoomValue = document.getElementById('mockupZoomValue');
 
-mockupZoom.addEventListener(‘input’, (e) => {
+mockupZoom.addEventListener('input', (e) => {
 canvasState.mockupZoom = parseInt(e.target.value) / 100;
-mockupZoomValue.textContent = e.target.value + ‘%’;
-drawCanvas();
+mockupZoomValue.textContent = e.target.value + '%';
+requestDraw();
 });
 
 // Mockup rotate slider
-const mockupRotate = document.getElementById(‘mockupRotate’);
-const mockupRotateValue = document.getElementById(‘mockupRotateValue’);
+const mockupRotate = document.getElementById('mockupRotate');
+const mockupRotateValue = document.getElementById('mockupRotateValue');
 
-mockupRotate.addEventListener(‘input’, (e) => {
+mockupRotate.addEventListener('input', (e) => {
 canvasState.mockupRotate = parseInt(e.target.value);
-mockupRotateValue.textContent = e.target.value + ‘°’;
-drawCanvas();
+mockupRotateValue.textContent = e.target.value + '°';
+requestDraw();
+});
+
+// Mockup realism (shading) slider
+const mockupRealism = document.getElementById('mockupRealism');
+const mockupRealismValue = document.getElementById('mockupRealismValue');
+
+mockupRealism.addEventListener('input', (e) => {
+  canvasState.mockupRealism = parseInt(e.target.value);
+  mockupRealismValue.textContent = e.target.value + '%';
+  requestDraw();
+});
+
+// Chroma key tolerance slider
+const keyTolerance = document.getElementById('keyTolerance');
+const keyToleranceValue = document.getElementById('keyToleranceValue');
+
+keyTolerance.addEventListener('input', (e) => {
+  canvasState.keyTolerance = parseInt(e.target.value);
+  keyToleranceValue.textContent = e.target.value + '%';
+  requestDraw();
 });
 }
 
@@ -256,13 +268,12 @@ DROPDOWNS
     */
     function setupDropdowns() {
     // Master dropdown (section switcher)
-    const masterDropdown = document.getElementById(‘masterDropdown’);
+    const masterDropdown = document.getElementById('masterDropdown');
 
-masterDropdown.addEventListener(‘change’, (e) => {
-const sections = [‘displaySection’, ‘controlsSection’, ‘toolsSection’, ‘storesSection’];
-sections.forEach(id => document.getElementById(id).classList.remove(‘active’));
+masterDropdown.addEventListener('change', (e) => {
+const sections = ['displaySection', 'controlsSection', 'toolsSection', 'storesSection'];
+sections.forEach(id => document.getElementById(id).classList.remove('active'));
 
-```
 const sectionMap = {
   display: 'displaySection',
   controls: 'controlsSection',
@@ -276,84 +287,199 @@ if (sectionMap[e.target.value]) {
 } else {
   document.getElementById('instructionsAccordion').style.display = 'block';
 }
-```
 
 });
 
 // Canvas quality
-const canvasQuality = document.getElementById(‘canvasQuality’);
+const canvasQuality = document.getElementById('canvasQuality');
 
-canvasQuality.addEventListener(‘change’, (e) => {
+canvasQuality.addEventListener('change', (e) => {
 canvasState.maxCanvasSize = parseInt(e.target.value);
 resizeCanvas();
 });
 
 // Repeat type
-const repeatType = document.getElementById(‘repeatType’);
+const repeatType = document.getElementById('repeatType');
 
-repeatType.addEventListener(‘change’, (e) => {
+repeatType.addEventListener('change', (e) => {
 canvasState.repeatType = e.target.value;
+syncRepeatTypeControls();
+syncDropRatioControls();
+syncLatticeControls();
+updateSeamScore();
 drawCanvas();
 });
 
+// Lattice clip mask
+document.getElementById('latticeClip').addEventListener('change', (e) => {
+  canvasState.latticeClip = e.target.value === 'on';
+  drawCanvas();
+});
+
+// Drop / brick ratio
+const dropRatio = document.getElementById('dropRatio');
+const dropRatioCustom = document.getElementById('dropRatioCustom');
+
+dropRatio.addEventListener('change', (e) => {
+  if (e.target.value === 'custom') {
+    dropRatioCustom.style.display = 'block';
+    setDropRatio(parseInt(dropRatioCustom.value) / 100);
+  } else {
+    dropRatioCustom.style.display = 'none';
+    setDropRatio(parseFloat(e.target.value));
+  }
+});
+
+dropRatioCustom.addEventListener('change', (e) => {
+  const percent = clamp(
+    parseInt(e.target.value) || 50,
+    CANVAS_CONFIG.MIN_DROP_PERCENT,
+    CANVAS_CONFIG.MAX_DROP_PERCENT
+  );
+  e.target.value = percent;
+  setDropRatio(percent / 100);
+});
+
 // View mode
-const viewMode = document.getElementById(‘viewMode’);
+const viewMode = document.getElementById('viewMode');
 
-viewMode.addEventListener(‘change’, (e) => {
+viewMode.addEventListener('change', (e) => {
 canvasState.viewMode = e.target.value;
+applyMockupRotation(getMockupEntry(e.target.value));
 drawCanvas();
 });
 
 // Background color
-const bgColor = document.getElementById(‘bgColor’);
+const bgColor = document.getElementById('bgColor');
 
-bgColor.addEventListener(‘change’, (e) => {
+bgColor.addEventListener('change', (e) => {
 canvasState.backgroundColor = e.target.value;
 updateBackground();
 drawCanvas();
 });
 
 // Grid size
-const gridSize = document.getElementById(‘gridSize’);
+const gridSize = document.getElementById('gridSize');
 
-gridSize.addEventListener(‘change’, (e) => {
-canvasState.gridOverlaySize = e.target.value === ‘off’ ? 0 : parseInt(e.target.value);
+gridSize.addEventListener('change', (e) => {
+canvasState.gridOverlaySize = e.target.value === 'off' ? 0 : parseInt(e.target.value);
 drawCanvas();
 });
 
 // Seamless test
-const seamlessTest = document.getElementById(‘seamlessTest’);
+const seamlessTest = document.getElementById('seamlessTest');
 
-seamlessTest.addEventListener(‘change’, (e) => {
-canvasState.seamlessTestMode = e.target.value === ‘on’;
+seamlessTest.addEventListener('change', (e) => {
+canvasState.seamlessTestMode = e.target.value === 'on';
 drawCanvas();
 });
 
 // Sample patterns
-const sampleSelect = document.getElementById(‘sampleSelect’);
+const sampleSelect = document.getElementById('sampleSelect');
 
-sampleSelect.addEventListener(‘change’, (e) => {
-const url = e.target.value;
-if (!url) return;
+populateSampleOptions();
 
-```
-loadImageFromURL(url);
-e.target.value = '';
-```
+sampleSelect.addEventListener('change', (e) => {
+  const file = e.target.value;
+  if (!file) return;
 
+  loadSamplePattern(file);
+  e.target.value = '';
 });
 
 // Country stores
-const countryStores = document.getElementById(‘countryStores’);
+const countryStores = document.getElementById('countryStores');
 
-countryStores.addEventListener(‘change’, (e) => {
+countryStores.addEventListener('change', (e) => {
 if (e.target.value) {
-window.open(e.target.value, ‘_blank’);
-e.target.value = ‘’;
+window.open(e.target.value, '_blank');
+e.target.value = '';
 }
 });
 }
 
+/**
+ * Apply a new drop/brick ratio
+ * Snaps to the 1/2, 1/3, 1/4 presets so they stay exact
+ * @param {number} ratio - Ratio (0-1)
+ */
+function setDropRatio(ratio) {
+  const preset = CANVAS_CONFIG.DROP_RATIOS.find(r => Math.abs(r.value - ratio) < 0.001);
+  canvasState.dropRatio = preset ? preset.value : ratio;
+  updateSeamScore();
+  drawCanvas();
+}
+
+/**
+ * Sync the repeat type select with the tile
+ * A quarter turn of a rectangular tile doesn't fill its cell, so Pinwheel 90°
+ * is only offered for square tiles - a rectangular one switches to
+ * Pinwheel 180°, with a note saying why.
+ */
+function syncRepeatTypeControls() {
+  const img = canvasState.tileImage;
+  const square = !img || img.width === img.height;
+  const select = document.getElementById('repeatType');
+  const option = select.querySelector('option[value="rotate-90"]');
+  const switched = !square && canvasState.repeatType === 'rotate-90';
+
+  option.disabled = !square;
+  option.textContent = square ? 'Repeat Type: Pinwheel 90°' : 'Repeat Type: Pinwheel 90° (square tiles only)';
+
+  if (switched) {
+    canvasState.repeatType = 'rotate-180';
+    select.value = 'rotate-180';
+  }
+  document.getElementById('repeatTypeNote').style.display = switched ? 'block' : 'none';
+}
+
+/**
+ * Sync drop/brick ratio controls with canvas state
+ * Only shown for repeat types that use a ratio
+ */
+function syncDropRatioControls() {
+  const dropRatioControl = document.getElementById('dropRatioControl');
+  const dropRatio = document.getElementById('dropRatio');
+  const dropRatioCustom = document.getElementById('dropRatioCustom');
+  const usesRatio = canvasState.repeatType === 'half-drop' || canvasState.repeatType === 'brick';
+
+  dropRatioControl.style.display = usesRatio ? 'flex' : 'none';
+
+  const presetIndex = CANVAS_CONFIG.DROP_RATIOS.findIndex(r => Math.abs(r.value - canvasState.dropRatio) < 0.001);
+
+  if (presetIndex >= 0) {
+    dropRatio.selectedIndex = presetIndex;
+    dropRatioCustom.style.display = 'none';
+  } else {
+    dropRatio.value = 'custom';
+    dropRatioCustom.value = Math.round(canvasState.dropRatio * 100);
+    dropRatioCustom.style.display = 'block';
+  }
+}
+
+/**
+ * Sync the lattice clip mask control with canvas state
+ * Only shown for hex, diamond and ogee repeats
+ */
+function syncLatticeControls() {
+  const latticeClip = document.getElementById('latticeClip');
+  latticeClip.style.display = isLatticeRepeat() ? 'block' : 'none';
+  latticeClip.value = canvasState.latticeClip ? 'on' : 'off';
+}
+
+/**
+ * Turn the mockup to its manifest default rotation
+ * @param {object|null} entry - Mockup manifest entry (null leaves rotation alone)
+ */
+function applyMockupRotation(entry) {
+  if (!entry) return;
+
+  const degrees = mod(Math.round(entry.rotation || 0), 360);
+  canvasState.mockupRotate = degrees;
+  document.getElementById('mockupRotate').value = degrees;
+  document.getElementById('mockupRotateValue').textContent = degrees + '°';
+}
+
 /* ==========================================================================
 ACCORDIONS
 ========================================================================== */
@@ -367,32 +493,32 @@ ACCORDIONS
     */
     function setupAccordions() {
     // Instructions accordion
-    const instructionsAccordion = document.getElementById(‘instructionsAccordion’);
-    const instructionsHeader = instructionsAccordion.querySelector(’.instructions-accordion-header’);
+    const instructionsAccordion = document.getElementById('instructionsAccordion');
+    const instructionsHeader = instructionsAccordion.querySelector('.instructions-accordion-header');
 
-instructionsHeader.addEventListener(‘click’, () => {
-const isOpen = instructionsAccordion.classList.contains(‘open’);
-instructionsAccordion.classList.toggle(‘open’, !isOpen);
-instructionsHeader.querySelector(‘span:last-child’).textContent = isOpen ? ‘▼’ : ‘▲’;
+instructionsHeader.addEventListener('click', () => {
+const isOpen = instructionsAccordion.classList.contains('open');
+instructionsAccordion.classList.toggle('open', !isOpen);
+instructionsHeader.querySelector('span:last-child').textContent = isOpen ? '▼' : '▲';
 });
 
 // Slider dropdowns
-document.querySelectorAll(’.slider-dropdown-header’).forEach(header => {
-header.addEventListener(‘click’, () => {
+document.querySelectorAll('.slider-dropdown-header').forEach(header => {
+header.addEventListener('click', () => {
 const parent = header.parentElement;
-const wasOpen = parent.classList.contains(‘open’);
-document.querySelectorAll(’.slider-dropdown’).forEach(sd => sd.classList.remove(‘open’));
-if (!wasOpen) parent.classList.add(‘open’);
+const wasOpen = parent.classList.contains('open');
+document.querySelectorAll('.slider-dropdown').forEach(sd => sd.classList.remove('open'));
+if (!wasOpen) parent.classList.add('open');
 });
 });
 
 // Zoom slider
-const zoomSliderWrapper = document.getElementById(‘zoomSliderWrapper’);
-const zoomHeader = zoomSliderWrapper.querySelector(’.zoom-slider-header’);
+const zoomSliderWrapper = document.getElementById('zoomSliderWrapper');
+const zoomHeader = zoomSliderWrapper.querySelector('.zoom-slider-header');
 
-zoomHeader.addEventListener(‘click’, () => {
-const wasOpen = zoomSliderWrapper.classList.contains(‘open’);
-zoomSliderWrapper.classList.toggle(‘open’, !wasOpen);
+zoomHeader.addEventListener('click', () => {
+const wasOpen = zoomSliderWrapper.classList.contains('open');
+zoomSliderWrapper.classList.toggle('open', !wasOpen);
 });
 }
 
@@ -405,52 +531,334 @@ EXPORT MODAL
 - Set up export modal functionality
   */
   function setupExportModal() {
-  const exportBtn = document.getElementById(‘exportBtnHeader’);
-  const exportModal = document.getElementById(‘exportModal’);
-  const exportRes = document.getElementById(‘exportRes’);
-  const customSizeOption = document.getElementById(‘customSizeOption’);
-  const exportConfirm = document.getElementById(‘exportConfirm’);
-  const exportCancel = document.getElementById(‘exportCancel’);
+  const exportBtn = document.getElementById('exportBtnHeader');
+  const exportModal = document.getElementById('exportModal');
+  const exportRes = document.getElementById('exportRes');
+  const exportTarget = document.getElementById('exportTarget');
+  const exportBackgroundOption = document.getElementById('exportBackgroundOption');
+  const exportDpi = document.getElementById('exportDpi');
+  const exportPrintSize = document.getElementById('exportPrintSize');
+  const exportAuthor = document.getElementById('exportAuthor');
+  const exportCopyright = document.getElementById('exportCopyright');
+  const exportPreviewOption = document.getElementById('exportPreviewOption');
+  const exportPreview = document.getElementById('exportPreview');
+  const customWidth = document.getElementById('customWidth');
+  const customHeight = document.getElementById('customHeight');
+  const customUnit = document.getElementById('customUnit');
+  const batchOption = document.getElementById('batchOption');
+  const batchSizes = document.getElementById('batchSizes');
+  const batchFormats = document.getElementById('batchFormats');
+  const exportFormatOption = document.getElementById('exportFormatOption');
+  const exportFormat = document.getElementById('exportFormat');
+  const exportProfile = document.getElementById('exportProfile');
+  const exportProfileSpec = document.getElementById('exportProfileSpec');
+  const exportProfileWarnings = document.getElementById('exportProfileWarnings');
+  const customSizeOption = document.getElementById('customSizeOption');
+  const exportConfirm = document.getElementById('exportConfirm');
+  const exportCancel = document.getElementById('exportCancel');
 
 // Open modal
-exportBtn.addEventListener(‘click’, () => {
+exportBtn.addEventListener('click', () => {
 if (!canvasState.tileImage) return;
-exportRes.options[0].text = `Current Canvas (${canvasState.maxCanvasSize}px)`;
-exportModal.classList.add(‘visible’);
+// DPI from the dimension calculator, credits from the last export
+const metadata = getExportMetadata();
+exportDpi.value = Math.round(metadata.dpi);
+exportAuthor.value = metadata.author;
+exportCopyright.value = metadata.copyright;
+// Offer what the canvas is showing: the mockup in a mockup view, the
+// contact sheet in the All Mockups view (it needs at least one loaded mockup)
+const mockupEntry = getMockupEntry(canvasState.viewMode);
+const isRoom = canvasState.viewMode === 'room';
+const hasMockup = isRoom || !!(mockupEntry && mockupImages[mockupEntry.id]);
+const hasMockups = getContactSheetEntries().length > 0;
+const mockupOption = document.getElementById('exportMockupOption');
+mockupOption.disabled = !hasMockup;
+if (hasMockup) {
+  mockupOption.text = `Current Mockup (${isRoom ? 'Room Wall' : mockupEntry.label || mockupEntry.id})`;
+} else {
+  mockupOption.text = 'Current Mockup';
+}
+exportTarget.querySelector('option[value="contact-sheet"]').disabled = !hasMockups;
+
+if (hasMockup) {
+  exportTarget.value = 'mockup';
+} else if (hasMockups && canvasState.viewMode === 'all-mockups') {
+  exportTarget.value = 'contact-sheet';
+} else {
+  exportTarget.value = 'pattern';
+}
+exportTarget.dispatchEvent(new Event('change'));
+// A picked profile outranks the defaults above
+if (getPodProfile()) applyPodProfile(getPodProfile());
+exportModal.classList.add('visible');
 });
 
 // Close modal
-exportCancel.addEventListener(‘click’, () => {
-exportModal.classList.remove(‘visible’);
+exportCancel.addEventListener('click', () => {
+exportModal.classList.remove('visible');
 });
 
+// Export DPI as typed, or the calculator's while the field is empty
+const getExportDpi = () => clamp(
+  parseFloat(exportDpi.value) || Math.round(calcState.dpi),
+  EXPORT_CONFIG.MIN_DPI,
+  EXPORT_CONFIG.MAX_DPI
+);
+
+// Custom width / height in pixels (inches and cm go through the DPI)
+const toExportPixels = (value, unit) => {
+  const size = parseFloat(value) || 0;
+  const pixels = unit === 'px' ? Math.round(size) : sizeToPixels(size, getExportDpi(), unit);
+  return clamp(pixels, EXPORT_CONFIG.MIN_SIZE, EXPORT_CONFIG.MAX_SIZE);
+};
+
+// Ticked sizes and formats for a batch export
+const getBatchChoices = () => {
+  const ticked = list => [...list.querySelectorAll('input:checked')].map(input => input.value);
+  return {
+    sizes: ticked(batchSizes).map(Number),
+    formats: ticked(batchFormats)
+  };
+};
+
+// Box the export has to fit: a square preset, the custom width × height,
+// or the largest size ticked for a batch
+const getExportBox = () => {
+  if (exportRes.value === 'batch') {
+    const { sizes } = getBatchChoices();
+    const size = sizes.length ? Math.max(...sizes) : canvasState.maxCanvasSize;
+    return { width: size, height: size };
+  }
+  if (exportRes.value === 'custom') {
+    return {
+      width: toExportPixels(customWidth.value, customUnit.value),
+      height: toExportPixels(customHeight.value, customUnit.value)
+    };
+  }
+
+  const size = exportRes.value === 'current' ? canvasState.maxCanvasSize : parseInt(exportRes.value);
+  return { width: size, height: size };
+};
+
+// Pixel size of the file: the pattern fills the box; mockups, the contact
+// sheet and the repeat unit keep their own shape and fit inside it
+const getExportPixels = () => {
+  const box = getExportBox();
+
+  if (exportTarget.value === 'repeat-unit') {
+    const unit = getRepeatUnitSize();
+    if (!unit) return null;
+    const scale = exportRes.value === 'current'
+      ? 1
+      : Math.min(box.width / unit.width, box.height / unit.height);
+    return { width: Math.round(unit.width * scale), height: Math.round(unit.height * scale) };
+  }
+  if (exportTarget.value === 'contact-sheet') {
+    return getContactSheetExportGrid(getContactSheetEntries().length, box.width, box.height);
+  }
+  if (exportTarget.value === 'mockup') {
+    const side = Math.min(box.width, box.height);
+    return { width: side, height: side };
+  }
+  // Preset sizes are the long side; the tile's aspect ratio sets the other
+  return exportRes.value === 'custom' ? box : getPatternExportSize(Math.max(box.width, box.height));
+};
+
+// Physical size the export prints at
+const showPrintSize = (pixels) => {
+  const dpi = getExportDpi();
+  if (!pixels) {
+    exportPrintSize.textContent = '';
+    return;
+  }
+
+  const inches = value => roundTo(pixelsToSize(value, dpi, 'in'), 2);
+  const cm = value => roundTo(pixelsToSize(value, dpi, 'cm'), 1);
+  const batch = getBatchChoices();
+  const count = batch.sizes.length * batch.formats.length;
+  exportPrintSize.textContent =
+    (exportRes.value === 'batch' ? `${count} file${count === 1 ? '' : 's'}, largest ` : '') +
+    `${pixels.width}×${pixels.height}px prints at ${inches(pixels.width)} × ${inches(pixels.height)} in ` +
+    `(${cm(pixels.width)} × ${cm(pixels.height)} cm)`;
+};
+
+// Framing preview - the pattern field drawn small by the export's own renderer
+const showPreview = (pixels) => {
+  const isPattern = exportTarget.value === 'pattern';
+  exportPreviewOption.style.display = isPattern ? 'flex' : 'none';
+  if (!isPattern || !pixels) return;
+
+  const scale = EXPORT_CONFIG.PREVIEW_SIZE / Math.max(pixels.width, pixels.height);
+  renderPatternField(
+    Math.max(1, Math.round(pixels.width * scale)),
+    Math.max(1, Math.round(pixels.height * scale)),
+    exportPreview
+  );
+};
+
+// Size readout and preview follow every change, once per frame
+let sizeFrame = null;
+const showExportSize = () => {
+  if (sizeFrame) return;
+  sizeFrame = requestAnimationFrame(() => {
+    sizeFrame = null;
+    const pixels = getExportPixels();
+    showPrintSize(pixels);
+    showPreview(pixels);
+    showProfileWarnings(pixels);
+  });
+};
+
+// Background choice only applies to mockup exports; the repeat unit's
+// smallest size is the tile's own resolution
+exportTarget.addEventListener('change', () => {
+  const target = exportTarget.value;
+  exportBackgroundOption.style.display = target === 'pattern' || target === 'repeat-unit' ? 'none' : 'block';
+
+  const unit = target === 'repeat-unit' ? getRepeatUnitSize() : null;
+  exportRes.options[0].text = unit
+    ? `Native (${unit.width}×${unit.height}px)`
+    : `Current Canvas (${canvasState.maxCanvasSize}px)`;
+  showExportSize();
+});
+
+exportDpi.addEventListener('input', showExportSize);
+batchSizes.addEventListener('change', showExportSize);
+batchFormats.addEventListener('change', showExportSize);
+customWidth.addEventListener('input', showExportSize);
+customHeight.addEventListener('input', showExportSize);
+
+// Switching units keeps the same size, just in the new unit
+let customUnitValue = customUnit.value;
+customUnit.addEventListener('change', () => {
+  const unit = customUnit.value;
+  const convert = (input) => {
+    const pixels = toExportPixels(input.value, customUnitValue);
+    input.value = unit === 'px' ? pixels : roundTo(pixelsToSize(pixels, getExportDpi(), unit), 2);
+  };
+  convert(customWidth);
+  convert(customHeight);
+  customUnitValue = unit;
+  showExportSize();
+});
+
+// Print-on-demand profiles, grouped by service
+Object.entries(POD_CONFIG.PROFILES).forEach(([id, profile]) => {
+  let group = [...exportProfile.querySelectorAll('optgroup')].find(g => g.label === profile.service);
+  if (!group) {
+    group = document.createElement('optgroup');
+    group.label = profile.service;
+    exportProfile.appendChild(group);
+  }
+
+  const option = document.createElement('option');
+  option.value = id;
+  option.textContent = `${profile.service} - ${profile.product}`;
+  group.appendChild(option);
+});
+
+// Set every field the profile covers
+const applyPodProfile = (profile) => {
+  const settings = getPodExportSettings(profile);
+
+  exportTarget.value = settings.target;
+  exportTarget.dispatchEvent(new Event('change'));
+
+  exportRes.value = settings.resolution;
+  if (settings.resolution === 'custom') {
+    customUnit.value = 'px';
+    customUnitValue = 'px';
+    customWidth.value = settings.width;
+    customHeight.value = settings.height;
+  }
+  exportRes.dispatchEvent(new Event('change'));
+
+  exportFormat.value = settings.format;
+  exportDpi.value = settings.dpi;
+  showExportSize();
+};
+
+// Spec line and anything the current settings miss
+const showProfileWarnings = (pixels) => {
+  const profile = getPodProfile();
+  exportProfileSpec.textContent = profile ? describePodProfile(profile) : '';
+  exportProfileWarnings.innerHTML = '';
+  if (!profile) return;
+
+  validatePodExport(profile, {
+    target: exportTarget.value,
+    pixels,
+    format: exportRes.value === 'batch' ? profile.format : exportFormat.value,
+    dpi: getExportDpi()
+  }).forEach((warning) => {
+    const item = document.createElement('li');
+    item.textContent = warning;
+    exportProfileWarnings.appendChild(item);
+  });
+};
+
+exportProfile.addEventListener('change', () => {
+  podState.profile = exportProfile.value;
+  const profile = getPodProfile();
+  if (profile) {
+    applyPodProfile(profile);
+  } else {
+    showExportSize();
+  }
+});
+
+exportFormat.addEventListener('change', showExportSize);
+
 // Show/hide custom size input
-exportRes.addEventListener(‘change’, (e) => {
-if (e.target.value === ‘custom’) {
-customSizeOption.style.display = ‘block’;
+exportRes.addEventListener('change', (e) => {
+if (e.target.value === 'custom') {
+customSizeOption.style.display = 'block';
 } else {
-customSizeOption.style.display = ‘none’;
+customSizeOption.style.display = 'none';
 }
+// A batch picks its formats with the sizes
+const isBatch = e.target.value === 'batch';
+batchOption.style.display = isBatch ? 'flex' : 'none';
+exportFormatOption.style.display = isBatch ? 'none' : 'flex';
+showExportSize();
 });
 
 // Export button
-exportConfirm.addEventListener(‘click’, () => {
+exportConfirm.addEventListener('click', () => {
 if (!canvasState.tileImage) return;
 
-```
-let exportSize = canvasState.maxCanvasSize;
+// Null only for a repeat unit that doesn't repeat - exportRepeatUnit() says so
+const pixels = getExportPixels();
 
-if (exportRes.value === 'custom') {
-  exportSize = parseInt(document.getElementById('customSize').value) || 2400;
-} else if (exportRes.value !== 'current') {
-  exportSize = parseInt(exportRes.value);
+const batch = getBatchChoices();
+if (exportRes.value === 'batch' && (!batch.sizes.length || !batch.formats.length)) {
+  alert('Tick at least one size and one format for the ZIP.');
+  return;
 }
 
-const format = document.getElementById('exportFormat').value;
+const format = exportFormat.value;
 
 exportModal.classList.remove('visible');
-exportPattern(exportSize, format);
-```
+
+const transparent = document.getElementById('exportBackground').value === 'transparent';
+
+// Credits are remembered for next time
+const credits = { author: exportAuthor.value.trim(), copyright: exportCopyright.value.trim() };
+setStorageItem(STORAGE_CONFIG.EXPORT_CREDITS_KEY, credits);
+const metadata = { dpi: getExportDpi(), ...credits };
+
+if (exportRes.value === 'batch') {
+  exportBatch(exportTarget.value, batch.sizes, batch.formats, { transparent, metadata });
+} else if (exportTarget.value === 'repeat-unit') {
+  exportRepeatUnit(exportRes.value === 'current' || !pixels ? null : Math.max(pixels.width, pixels.height), format, metadata);
+} else if (exportTarget.value === 'mockup') {
+  exportMockup(canvasState.viewMode, pixels.width, format, transparent, metadata);
+} else if (exportTarget.value === 'contact-sheet') {
+  const box = getExportBox();
+  exportContactSheet(box.width, box.height, format, transparent, metadata);
+} else {
+  exportPattern(pixels.width, pixels.height, format, metadata);
+}
 
 });
 }
@@ -469,28 +877,27 @@ WEATHER WIDGET
 
 /**
 
-- Get user’s weather
+- Get user's weather
   */
   async function getWeather() {
-  const weatherWidget = document.getElementById(‘weatherWidget’);
-  const weatherCondition = document.getElementById(‘weatherCondition’);
-  const weatherIcon = document.getElementById(‘weatherIcon’);
-  const weatherLocation = document.getElementById(‘weatherLocation’);
+  const weatherWidget = document.getElementById('weatherWidget');
+  const weatherCondition = document.getElementById('weatherCondition');
+  const weatherIcon = document.getElementById('weatherIcon');
+  const weatherLocation = document.getElementById('weatherLocation');
 
-weatherWidget.classList.add(‘visible’);
-weatherWidget.classList.add(‘loading’);
+weatherWidget.classList.add('visible');
+weatherWidget.classList.add('loading');
 
 if (!navigator.geolocation) {
-weatherCondition.textContent = ‘Location unavailable’;
-weatherLocation.textContent = ‘Geolocation not supported’;
-weatherWidget.classList.remove(‘loading’);
+weatherCondition.textContent = 'Location unavailable';
+weatherLocation.textContent = 'Geolocation not supported';
+weatherWidget.classList.remove('loading');
 return;
 }
 
 navigator.geolocation.getCurrentPosition(async (position) => {
 const { latitude, longitude } = position.coords;
 
-```
 try {
   const [weatherResponse, cityName] = await Promise.all([
     fetch(`https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&current_weather=true`),
@@ -509,14 +916,13 @@ try {
   weatherLocation.textContent = 'Service unavailable';
   weatherWidget.classList.remove('loading');
 }
-```
 
 }, (error) => {
-console.error(‘Geolocation error:’, error);
-weatherCondition.textContent = ‘Location denied’;
-weatherIcon.textContent = ‘📍’;
-weatherLocation.textContent = ‘Enable location’;
-weatherWidget.classList.remove(‘loading’);
+console.error('Geolocation error:', error);
+weatherCondition.textContent = 'Location denied';
+weatherIcon.textContent = '📍';
+weatherLocation.textContent = 'Enable location';
+weatherWidget.classList.remove('loading');
 });
 }
 
@@ -547,10 +953,10 @@ weatherWidget.classList.remove(‘loading’);
   return country;
   }
   }
-  return ‘Your Location’;
+  return 'Your Location';
   } catch (error) {
-  console.error(‘Reverse geocoding error:’, error);
-  return ‘Your Location’;
+  console.error('Reverse geocoding error:', error);
+  return 'Your Location';
   }
   }
 
@@ -564,13 +970,13 @@ weatherWidget.classList.remove(‘loading’);
 
 const isUS = (lat > 24 && lat < 50 && lon > -125 && lon < -66);
 const temp = isUS ? tempF : tempC;
-const unit = isUS ? ‘°F’ : ‘°C’;
+const unit = isUS ? '°F' : '°C';
 
-document.getElementById(‘weatherTemp’).textContent = `${temp}${unit}`;
-document.getElementById(‘weatherCondition’).textContent = getRudeboyWeatherCondition(data.current_weather.weathercode);
-document.getElementById(‘weatherLocation’).textContent = cityName;
-document.getElementById(‘weatherIcon’).textContent = getWeatherIconFromCode(data.current_weather.weathercode);
-document.getElementById(‘weatherWidget’).classList.remove(‘loading’);
+document.getElementById('weatherTemp').textContent = `${temp}${unit}`;
+document.getElementById('weatherCondition').textContent = getRudeboyWeatherCondition(data.current_weather.weathercode);
+document.getElementById('weatherLocation').textContent = cityName;
+document.getElementById('weatherIcon').textContent = getWeatherIconFromCode(data.current_weather.weathercode);
+document.getElementById('weatherWidget').classList.remove('loading');
 }
 
 /**
@@ -578,16 +984,16 @@ document.getElementById(‘weatherWidget’).classList.remove(‘loading’);
 - Get weather icon from code
   */
   function getWeatherIconFromCode(code) {
-  if (code === 0) return ‘☀️’;
-  if (code === 1 || code === 2) return ‘🌤️’;
-  if (code === 3) return ‘☁️’;
-  if (code === 45 || code === 48) return ‘🌫️’;
-  if (code >= 51 && code <= 67) return ‘🌧️’;
-  if (code >= 71 && code <= 77) return ‘❄️’;
-  if (code >= 80 && code <= 82) return ‘🌦️’;
-  if (code >= 85 && code <= 86) return ‘❄️’;
-  if (code >= 95 && code <= 99) return ‘⛈️’;
-  return ‘🌡️’;
+  if (code === 0) return '☀️';
+  if (code === 1 || code === 2) return '🌤️';
+  if (code === 3) return '☁️';
+  if (code === 45 || code === 48) return '🌫️';
+  if (code >= 51 && code <= 67) return '🌧️';
+  if (code >= 71 && code <= 77) return '❄️';
+  if (code >= 80 && code <= 82) return '🌦️';
+  if (code >= 85 && code <= 86) return '❄️';
+  if (code >= 95 && code <= 99) return '⛈️';
+  return '🌡️';
   }
 
 /**
@@ -595,16 +1001,16 @@ document.getElementById(‘weatherWidget’).classList.remove(‘loading’);
 - Get Rudeboy weather condition text
   */
   function getRudeboyWeatherCondition(code) {
-  if (code === 0) return ‘SunnySide Up’;
-  if (code === 1 || code === 2) return “It’s Cloudy Bitch”;
-  if (code === 3) return “It’s Cloudy Bitch”;
-  if (code === 45 || code === 48) return “Can’t see shit”;
-  if (code >= 51 && code <= 67) return ‘Wet T-Shirt Weather’;
-  if (code >= 71 && code <= 77) return ‘Fucking Snow’;
-  if (code >= 80 && code <= 82) return “She’s a squirter”;
-  if (code >= 85 && code <= 86) return ‘Fucking Snow’;
-  if (code >= 95 && code <= 99) return ‘Zeus is Pissed’;
-  return ‘Unknown’;
+  if (code === 0) return 'SunnySide Up';
+  if (code === 1 || code === 2) return "It's Cloudy Bitch";
+  if (code === 3) return "It's Cloudy Bitch";
+  if (code === 45 || code === 48) return "Can't see shit";
+  if (code >= 51 && code <= 67) return 'Wet T-Shirt Weather';
+  if (code >= 71 && code <= 77) return 'Fucking Snow';
+  if (code >= 80 && code <= 82) return "She's a squirter";
+  if (code >= 85 && code <= 86) return 'Fucking Snow';
+  if (code >= 95 && code <= 99) return 'Zeus is Pissed';
+  return 'Unknown';
   }
 
 /* ==========================================================================
@@ -628,9 +1034,9 @@ TIME DISPLAY
   const now = new Date();
   const hours = now.getHours();
   const minutes = now.getMinutes();
-  const ampm = hours >= 12 ? ‘PM’ : ‘AM’;
+  const ampm = hours >= 12 ? 'PM' : 'AM';
   const displayHours = hours % 12 || 12;
-  const displayMinutes = minutes < 10 ? ‘0’ + minutes : minutes;
+  const displayMinutes = minutes < 10 ? '0' + minutes : minutes;
 
-document.getElementById(‘weatherTime’).textContent = `${displayHours}:${displayMinutes} ${ampm}`;
+document.getElementById('weatherTime').textContent = `${displayHours}:${displayMinutes} ${ampm}`;
 }
\ No newline at end of file
@@ -72,6 +72,18 @@ MATH UTILITIES
   return Math.min(Math.max(val, min), max);
   }
 
+/**
+ * Modulo that stays positive for negative values
+ * @param {number} n - Dividend
+ * @param {number} m - Divisor
+ * @returns {number} Result in [0, m)
+ *
+ * Example: mod(-1, 2) → 1
+ */
+function mod(n, m) {
+  return ((n % m) + m) % m;
+}
+
 /**
 
 - Linear interpolation between two values
@@ -123,7 +135,7 @@ STRING UTILITIES
   */
   function truncate(str, maxLength) {
   if (str.length <= maxLength) return str;
-  return str.substring(0, maxLength - 3) + ‘…’;
+  return str.substring(0, maxLength - 3) + '…';
   }
 
 /**
@@ -133,7 +145,7 @@ STRING UTILITIES
 - @returns {string} Capitalized string
   */
   function capitalize(str) {
-  if (!str) return ‘’;
+  if (!str) return '';
   return str.charAt(0).toUpperCase() + str.slice(1);
   }
 
@@ -143,10 +155,10 @@ STRING UTILITIES
 - @param {number} num - Number to format
 - @returns {string} Formatted number
 - 
-- Example: formatNumber(1234567) → “1,234,567”
+- Example: formatNumber(1234567) → "1,234,567"
   */
   function formatNumber(num) {
-  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ‘,’);
+  return num.toString().replace(/\B(?=(\d{3})+(?!\d))/g, ',');
   }
 
 /**
@@ -155,16 +167,16 @@ STRING UTILITIES
 - @param {number} bytes - Size in bytes
 - @returns {string} Formatted size
 - 
-- Example: formatFileSize(1536) → “1.5 KB”
+- Example: formatFileSize(1536) → "1.5 KB"
   */
   function formatFileSize(bytes) {
-  if (bytes === 0) return ‘0 Bytes’;
+  if (bytes === 0) return '0 Bytes';
 
 const k = 1024;
-const sizes = [‘Bytes’, ‘KB’, ‘MB’, ‘GB’];
+const sizes = ['Bytes', 'KB', 'MB', 'GB'];
 const i = Math.floor(Math.log(bytes) / Math.log(k));
 
-return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ’ ’ + sizes[i];
+return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
 }
 
 /* ==========================================================================
@@ -179,13 +191,13 @@ COLOR UTILITIES
 - @param {number} b - Blue (0-255)
 - @returns {string} Hex color
 - 
-- Example: rgbToHex(255, 0, 0) → “#ff0000”
+- Example: rgbToHex(255, 0, 0) → "#ff0000"
   */
   function rgbToHex(r, g, b) {
-  return ‘#’ + [r, g, b].map(x => {
+  return '#' + [r, g, b].map(x => {
   const hex = x.toString(16);
-  return hex.length === 1 ? ‘0’ + hex : hex;
-  }).join(’’);
+  return hex.length === 1 ? '0' + hex : hex;
+  }).join('');
   }
 
 /**
@@ -194,14 +206,14 @@ COLOR UTILITIES
 - @param {string} hex - Hex color
 - @returns {object} RGB object {r, g, b}
 - 
-- Example: hexToRgb(”#ff0000”) → {r: 255, g: 0, b: 0}
+- Example: hexToRgb("#ff0000") → {r: 255, g: 0, b: 0}
   */
   function hexToRgb(hex) {
-  hex = hex.replace(’#’, ‘’);
+  hex = hex.replace('#', '');
 
 // Handle 3-character hex
 if (hex.length === 3) {
-hex = hex.split(’’).map(c => c + c).join(’’);
+hex = hex.split('').map(c => c + c).join('');
 }
 
 const r = parseInt(hex.substring(0, 2), 16);
@@ -294,11 +306,11 @@ DOM UTILITIES
 
 // Set attributes
 Object.entries(attrs).forEach(([key, value]) => {
-if (key === ‘class’) {
+if (key === 'class') {
 el.className = value;
-} else if (key === ‘style’) {
+} else if (key === 'style') {
 Object.assign(el.style, value);
-} else if (key.startsWith(‘on’)) {
+} else if (key.startsWith('on')) {
 el.addEventListener(key.substring(2).toLowerCase(), value);
 } else {
 el.setAttribute(key, value);
@@ -307,7 +319,7 @@ el.setAttribute(key, value);
 
 // Add children
 children.forEach(child => {
-if (typeof child === ‘string’) {
+if (typeof child === 'string') {
 el.appendChild(document.createTextNode(child));
 } else if (child instanceof Element) {
 el.appendChild(child);
@@ -339,7 +351,7 @@ return el;
 - @param {Array<string>} classes - Class names
   */
   function addClasses(el, classes) {
-  el.classList.add(…classes);
+  el.classList.add(...classes);
   }
 
 /**
@@ -349,7 +361,7 @@ return el;
 - @param {Array<string>} classes - Class names
   */
   function removeClasses(el, classes) {
-  el.classList.remove(…classes);
+  el.classList.remove(...classes);
   }
 
 /* ==========================================================================
@@ -364,14 +376,14 @@ DATE/TIME UTILITIES
 - @returns {string} Formatted date
   */
   function formatDate(date, options = {}) {
-  return new Intl.DateTimeFormat(‘en-US’, options).format(date);
+  return new Intl.DateTimeFormat('en-US', options).format(date);
   }
 
 /**
 
 - Get relative time string
 - @param {Date} date - Date object
-- @returns {string} Relative time (e.g., “2 hours ago”)
+- @returns {string} Relative time (e.g., "2 hours ago")
   */
   function getRelativeTime(date) {
   const now = new Date();
@@ -384,21 +396,21 @@ DATE/TIME UTILITIES
 if (days > 0) return `${days} day${days > 1 ? 's' : ''} ago`;
 if (hours > 0) return `${hours} hour${hours > 1 ? 's' : ''} ago`;
 if (minutes > 0) return `${minutes} minute${minutes > 1 ? 's' : ''} ago`;
-return ‘just now’;
+return 'just now';
 }
 
 /**
 
 - Format time to 12-hour format
 - @param {Date} date - Date object
-- @returns {string} Formatted time (e.g., “2:30 PM”)
+- @returns {string} Formatted time (e.g., "2:30 PM")
   */
   function formatTime12Hour(date) {
   const hours = date.getHours();
   const minutes = date.getMinutes();
-  const ampm = hours >= 12 ? ‘PM’ : ‘AM’;
+  const ampm = hours >= 12 ? 'PM' : 'AM';
   const displayHours = hours % 12 || 12;
-  const displayMinutes = minutes < 10 ? ‘0’ + minutes : minutes;
+  const displayMinutes = minutes < 10 ? '0' + minutes : minutes;
 
 return `${displayHours}:${displayMinutes} ${ampm}`;
 }
@@ -414,7 +426,7 @@ FILE UTILITIES
 - @returns {string} Extension (lowercase, with dot)
   */
   function getFileExtension(filename) {
-  return filename.slice(filename.lastIndexOf(’.’)).toLowerCase();
+  return filename.slice(filename.lastIndexOf('.')).toLowerCase();
   }
 
 /**
@@ -461,7 +473,7 @@ FILE UTILITIES
 - @param {string} filename - File name
   */
   function downloadFile(blob, filename) {
-  const link = document.createElement(‘a’);
+  const link = document.createElement('a');
   link.href = URL.createObjectURL(blob);
   link.download = filename;
   link.click();
@@ -491,10 +503,10 @@ ASYNC UTILITIES
   */
   function debounce(func, wait) {
   let timeout;
-  return function executedFunction(…args) {
+  return function executedFunction(...args) {
   const later = () => {
   clearTimeout(timeout);
-  func(…args);
+  func(...args);
   };
   clearTimeout(timeout);
   timeout = setTimeout(later, wait);
@@ -510,7 +522,7 @@ ASYNC UTILITIES
   */
   function throttle(func, limit) {
   let inThrottle;
-  return function(…args) {
+  return function(...args) {
   if (!inThrottle) {
   func.apply(this, args);
   inThrottle = true;
@@ -535,7 +547,7 @@ STORAGE UTILITIES
   const item = localStorage.getItem(key);
   return item ? JSON.parse(item) : defaultValue;
   } catch (e) {
-  console.error(‘Error reading from localStorage:’, e);
+  console.error('Error reading from localStorage:', e);
   return defaultValue;
   }
   }
@@ -552,7 +564,7 @@ STORAGE UTILITIES
   localStorage.setItem(key, JSON.stringify(value));
   return true;
   } catch (e) {
-  console.error(‘Error writing to localStorage:’, e);
+  console.error('Error writing to localStorage:', e);
   return false;
   }
   }
@@ -567,7 +579,7 @@ STORAGE UTILITIES
   localStorage.removeItem(key);
   return true;
   } catch (e) {
-  console.error(‘Error removing from localStorage:’, e);
+  console.error('Error removing from localStorage:', e);
   return false;
   }
   }
@@ -584,9 +596,9 @@ VALIDATION UTILITIES
   */
   function isEmpty(value) {
   if (value == null) return true;
-  if (typeof value === ‘string’) return value.trim() === ‘’;
+  if (typeof value === 'string') return value.trim() === '';
   if (Array.isArray(value)) return value.length === 0;
-  if (typeof value === ‘object’) return Object.keys(value).length === 0;
+  if (typeof value === 'object') return Object.keys(value).length === 0;
   return false;
   }
 
@@ -642,7 +654,24 @@ CANVAS UTILITIES
   try {
   return ctx.getImageData(x, y, w, h);
   } catch (e) {
-  console.error(‘Error getting image data:’, e);
+  console.error('Error getting image data:', e);
   return null;
   }
-  }
\ No newline at end of file
+  }
+
+/**
+ * Create a canvas that isn't attached to the page
+ * Uses OffscreenCanvas where available, otherwise a detached <canvas>
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {OffscreenCanvas|HTMLCanvasElement} Canvas
+ */
+function createOffscreenCanvas(width, height) {
+  if (typeof OffscreenCanvas !== 'undefined') {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
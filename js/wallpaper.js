@@ -0,0 +1,225 @@
+/* ============================================================================
+WALLPAPER.JS - Wallpaper Strip View
+
+This file draws the Wallpaper Strips view mode: the Room Wall covered in
+roll-width strips, each cut from an identical roll, at real printed size.
+
+- Straight match: every strip starts at the same point of the repeat
+- Half-drop match: every other strip starts half a repeat further down
+- From repeat type: the drop the repeat type needs where one strip meets
+  the next (see getRepeatOffset() in repeat.js)
+
+Seams are drawn between strips, and the caption says how many rolls the
+wall takes once each strip is cut to the match.
+============================================================================ */
+
+/**
+ * Set up the Wallpaper Rolls card
+ */
+function initWallpaper() {
+  const rollSelect = document.getElementById('wallpaperRoll');
+  const matchSelect = document.getElementById('wallpaperMatch');
+
+  Object.entries(WALLPAPER_CONFIG.ROLLS).forEach(([id, roll]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = roll.label;
+    rollSelect.appendChild(option);
+  });
+
+  rollSelect.value = canvasState.wallpaperRoll;
+  matchSelect.value = canvasState.wallpaperMatch;
+
+  rollSelect.addEventListener('change', (e) => {
+    canvasState.wallpaperRoll = e.target.value;
+    requestDraw();
+  });
+
+  matchSelect.addEventListener('change', (e) => {
+    canvasState.wallpaperMatch = e.target.value;
+    requestDraw();
+  });
+}
+
+/**
+ * How far down the roll each strip starts compared with the one before
+ * @param {object} roll - Roll from WALLPAPER_CONFIG.ROLLS
+ * @param {object} tile - Printed tile size in inches
+ * @returns {object} { drop, label, fits } - drop in inches; fits is false
+ *   when the seams can't match at this roll width with this drop
+ */
+function getWallpaperMatch(roll, tile) {
+  const repeat = getRepeatUnitInches(tile).height;
+  const needed = getWallpaperDrop(roll, tile);
+  const epsilon = repeat * 0.001;
+  const isDrop = (drop, target) => needed !== null &&
+    (Math.abs(drop - target) < epsilon || Math.abs(drop - target - repeat) < epsilon);
+
+  if (canvasState.wallpaperMatch === 'straight') {
+    return { drop: 0, label: 'straight match', fits: isDrop(needed, 0) };
+  }
+  if (canvasState.wallpaperMatch === 'half-drop') {
+    return { drop: repeat / 2, label: 'half-drop match', fits: isDrop(needed, repeat / 2) };
+  }
+
+  if (needed === null) {
+    return { drop: 0, label: 'straight match', fits: false };
+  }
+  if (isDrop(needed, 0)) {
+    return { drop: 0, label: 'straight match', fits: true };
+  }
+  if (isDrop(needed, repeat / 2)) {
+    return { drop: needed, label: 'half-drop match', fits: true };
+  }
+  return { drop: needed, label: `${roundTo(needed, 2)}" drop match`, fits: true };
+}
+
+/**
+ * Drop the repeat type needs where one strip meets the next
+ * The next strip starts where tile column n would, n tiles across. Mirror
+ * and pinwheel repeats only match after whole repeat units; a drop repeat
+ * makes up part of a unit by dropping the next strip.
+ * @param {object} roll - Roll from WALLPAPER_CONFIG.ROLLS
+ * @param {object} tile - Printed tile size in inches
+ * @returns {number|null} Drop in inches (0 to one repeat), or null when no
+ *   drop lines the seams up
+ */
+function getWallpaperDrop(roll, tile) {
+  const { height: repeat, cols } = getRepeatUnitInches(tile);
+  const columns = roll.width / tile.width;
+  const n = Math.round(columns);
+
+  if (!cols || n < 1 || Math.abs(columns - n) > 0.01) return null;
+  if (canvasState.repeatType !== 'half-drop' && n % cols !== 0) return null;
+
+  return mod(-getRepeatOffset(n, 0, tile.width, tile.height).y, repeat);
+}
+
+/**
+ * Rolls needed to paper a wall
+ * Each strip is the wall height plus trim, rounded up to whole repeats so
+ * it starts at its match point; drop matches lose the drop between strips.
+ * @param {object} wall - Wall size in inches
+ * @param {object} roll - Roll from WALLPAPER_CONFIG.ROLLS
+ * @param {number} repeat - Vertical repeat in inches
+ * @param {number} drop - Drop between strips in inches
+ * @returns {object} { strips, stripLength, perRoll, rolls } - rolls is 0
+ *   when a strip is longer than a roll
+ */
+function getWallpaperRolls(wall, roll, repeat, drop) {
+  const strips = Math.ceil(wall.width / roll.width - 1e-6);
+  const cut = wall.height + WALLPAPER_CONFIG.TRIM;
+  const stripLength = repeat > 0 ? Math.ceil(cut / repeat - 1e-6) * repeat : cut;
+
+  const perRoll = roll.length < stripLength
+    ? 0
+    : Math.floor((roll.length - stripLength) / (stripLength + drop)) + 1;
+
+  return {
+    strips,
+    stripLength,
+    perRoll,
+    rolls: perRoll ? Math.ceil(strips / perRoll) : 0
+  };
+}
+
+/**
+ * Draw the Wallpaper Strips view
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (centred)
+ */
+function drawWallpaperStrips(ctx) {
+  const { MARGIN, CAPTION_HEIGHT, FONT_SIZE } = YARDAGE_CONFIG;
+  const { COLORS } = WALLPAPER_CONFIG;
+  const canvasW = canvasState.canvas.width;
+  const canvasH = canvasState.canvas.height;
+
+  const wall = getRoomWallInches();
+  const roll = WALLPAPER_CONFIG.ROLLS[canvasState.wallpaperRoll] ||
+    WALLPAPER_CONFIG.ROLLS[WALLPAPER_CONFIG.DEFAULT_ROLL];
+  const tile = getTileInches();
+  const unitSize = getRepeatUnitInches(tile);
+  const repeat = unitSize.height;
+  const match = getWallpaperMatch(roll, tile);
+  const rolls = getWallpaperRolls(wall, roll, repeat, match.drop);
+
+  // Fit every strip (the last one may run past the wall) below the caption
+  const coveredW = rolls.strips * roll.width;
+  const captionH = canvasH * CAPTION_HEIGHT;
+  const availableW = canvasW * (1 - MARGIN * 2);
+  const availableH = canvasH * (1 - MARGIN * 2) - captionH;
+  const pixelsPerInch = Math.min(availableW / coveredW, availableH / wall.height);
+  const stripW = roll.width * pixelsPerInch;
+  const wallW = wall.width * pixelsPerInch;
+  const wallH = wall.height * pixelsPerInch;
+  const x0 = -coveredW * pixelsPerInch / 2;
+  const y0 = -wallH / 2 + captionH / 2;
+  const tileW = tile.width * pixelsPerInch;
+  const tileH = tile.height * pixelsPerInch;
+
+  // Strips - one pattern fill each, starting the pattern at the strip's left
+  // edge and its drop down the roll
+  for (let k = 0; k < rolls.strips; k++) {
+    const x = x0 + k * stripW;
+    const start = repeat > 0 ? mod(k * match.drop, repeat) : 0;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y0, stripW, wallH);
+    ctx.clip();
+    fillPatternToContext(ctx, x, y0, stripW, wallH, tileW, tileH, x, y0 - start * pixelsPerInch);
+    ctx.restore();
+  }
+
+  // Trimmed off past the end of the wall
+  if (coveredW > wall.width) {
+    ctx.fillStyle = COLORS.waste;
+    ctx.fillRect(x0 + wallW, y0, (coveredW - wall.width) * pixelsPerInch, wallH);
+  }
+
+  // Seams and wall edge
+  ctx.save();
+  ctx.strokeStyle = COLORS.seam;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 4]);
+  ctx.beginPath();
+  for (let k = 1; k < rolls.strips; k++) {
+    const x = Math.round(x0 + k * stripW) + 0.5;
+    ctx.moveTo(x, y0);
+    ctx.lineTo(x, y0 + wallH);
+  }
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.strokeRect(x0 - 0.5, y0 - 0.5, wallW + 1, wallH + 1);
+  ctx.restore();
+
+  // Strip numbers and where each is cut on its roll
+  const fontSize = Math.round(canvasW * FONT_SIZE * 0.8);
+  const labelY = y0 - fontSize * 0.8;
+  if (stripW > fontSize * 2.5) {
+    ctx.save();
+    ctx.font = `600 ${fontSize}px system-ui, sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = COLORS.label;
+    for (let k = 0; k < rolls.strips; k++) {
+      const start = repeat > 0 ? mod(k * match.drop, repeat) : 0;
+      const label = start > 0.005 && stripW > fontSize * 5 ? `${k + 1} ↓${roundTo(start, 1)}"` : `${k + 1}`;
+      ctx.fillText(label, x0 + (k + 0.5) * stripW, labelY, stripW);
+    }
+    ctx.restore();
+  }
+
+  const unit = canvasState.roomWall.unit;
+  const lines = [
+    `Wall ${canvasState.roomWall.width} × ${canvasState.roomWall.height} ${unit} · ${roll.label} · repeat ${roundTo(unitSize.width, 2)}" × ${roundTo(repeat, 2)}"`,
+    `${rolls.strips} strip${rolls.strips === 1 ? '' : 's'} of ${roundTo(rolls.stripLength, 1)}" · ${match.label} · ` +
+      (rolls.perRoll
+        ? `${rolls.perRoll} per roll → ${rolls.rolls} roll${rolls.rolls === 1 ? '' : 's'}`
+        : 'strips are longer than a roll')
+  ];
+  if (!match.fits) {
+    lines.push('The repeat doesn\'t divide the roll width at this match, so seams won\'t line up');
+  }
+
+  drawViewCaption(ctx, labelY - fontSize, canvasW, lines);
+}
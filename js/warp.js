@@ -0,0 +1,249 @@
+/* ============================================================================
+WARP.JS - Mockup Warp Mapping
+
+This file bends the flat pattern to follow a product's shape:
+
+- Perspective quad (four corners, e.g. a tote seen at an angle)
+- Cylindrical wrap (mugs, bottles - the pattern squeezes toward the sides)
+- Free mesh (a grid of points for anything else)
+
+Every warp is turned into a mesh of points, and the pattern is texture
+mapped through it one triangle at a time. Coordinates are normalized (0-1)
+across the mockup image. Like compositor.js it has no DOM access, so the
+mockup worker loads it too.
+============================================================================ */
+
+/**
+ * Build the mesh for a warp at a display size
+ * @param {object} warp - Warp definition:
+ *   { type: 'quad', corners: [[x, y] TL, TR, BR, BL] }
+ *   { type: 'cylinder', x0, x1, y0, y1, arc, topCurve, bottomCurve }
+ *   { type: 'mesh', cols, rows, points: [[x, y], ...] } (row by row)
+ * @param {number} size - Display size in pixels
+ * @returns {object|null} { cols, rows, points: [[x, y], ...], surfaceWidth? } in pixels
+ */
+function buildWarpMesh(warp, size) {
+  let mesh;
+
+  switch (warp.type) {
+    case 'quad':
+      mesh = getQuadMesh(warp);
+      break;
+    case 'cylinder':
+      mesh = getCylinderMesh(warp);
+      break;
+    case 'mesh':
+      mesh = { cols: warp.cols, rows: warp.rows, points: warp.points };
+      break;
+    default:
+      return null;
+  }
+
+  if (mesh.points.length !== (mesh.cols + 1) * (mesh.rows + 1)) return null;
+
+  return {
+    cols: mesh.cols,
+    rows: mesh.rows,
+    points: mesh.points.map(([x, y]) => [x * size, y * size]),
+    surfaceWidth: mesh.surfaceWidth ? mesh.surfaceWidth * size : null
+  };
+}
+
+/**
+ * Perspective quad → mesh
+ * Points are spaced through the quad's homography, so the pattern
+ * shrinks into the distance rather than just shearing.
+ */
+function getQuadMesh(warp) {
+  const steps = MOCKUP_CONFIG.WARP_STEPS;
+  const map = getQuadHomography(warp.corners);
+  const points = [];
+
+  for (let r = 0; r <= steps; r++) {
+    for (let c = 0; c <= steps; c++) {
+      points.push(map(c / steps, r / steps));
+    }
+  }
+
+  return { cols: steps, rows: steps, points };
+}
+
+/**
+ * Homography from the unit square onto a quad
+ * @param {Array} corners - [[x, y] TL, TR, BR, BL]
+ * @returns {Function} (u, v) => [x, y]
+ */
+function getQuadHomography(corners) {
+  const [[x0, y0], [x1, y1], [x2, y2], [x3, y3]] = corners;
+  const dx1 = x1 - x2;
+  const dx2 = x3 - x2;
+  const dx3 = x0 - x1 + x2 - x3;
+  const dy1 = y1 - y2;
+  const dy2 = y3 - y2;
+  const dy3 = y0 - y1 + y2 - y3;
+  const det = dx1 * dy2 - dx2 * dy1;
+
+  // Parallelogram (or degenerate) - plain affine
+  const g = det ? (dx3 * dy2 - dx2 * dy3) / det : 0;
+  const h = det ? (dx1 * dy3 - dx3 * dy1) / det : 0;
+
+  const a = x1 - x0 + g * x1;
+  const b = x3 - x0 + h * x3;
+  const d = y1 - y0 + g * y1;
+  const e = y3 - y0 + h * y3;
+
+  return (u, v) => {
+    const w = g * u + h * v + 1;
+    return [(a * u + b * v + x0) / w, (d * u + e * v + y0) / w];
+  };
+}
+
+/**
+ * Cylindrical wrap → mesh
+ * Columns are spaced evenly in angle around the visible arc, so they bunch
+ * up toward the sides. topCurve/bottomCurve bow the rim and base at the
+ * centre (negative = up) to match the product's ellipses.
+ */
+function getCylinderMesh(warp) {
+  const cols = MOCKUP_CONFIG.WARP_STEPS;
+  const curved = warp.topCurve || warp.bottomCurve;
+  const rows = curved ? MOCKUP_CONFIG.WARP_STEPS : 1;
+
+  const halfArc = (warp.arc || 180) * Math.PI / 360;
+  const edgeCos = Math.cos(halfArc);
+  const centerX = (warp.x0 + warp.x1) / 2;
+  const radius = (warp.x1 - warp.x0) / 2;
+  const points = [];
+
+  for (let r = 0; r <= rows; r++) {
+    const v = r / rows;
+    for (let c = 0; c <= cols; c++) {
+      const angle = (c / cols * 2 - 1) * halfArc;
+      // 1 at the centre, 0 at the visible edges
+      const bow = edgeCos < 1 ? (Math.cos(angle) - edgeCos) / (1 - edgeCos) : 0;
+      const top = warp.y0 + (warp.topCurve || 0) * bow;
+      const bottom = warp.y1 + (warp.bottomCurve || 0) * bow;
+
+      points.push([
+        centerX + radius * Math.sin(angle) / Math.sin(halfArc),
+        top + (bottom - top) * v
+      ]);
+    }
+  }
+
+  // Unrolled width of the visible arc, so the pattern keeps its scale at the centre
+  const surfaceWidth = radius * 2 * halfArc / Math.sin(halfArc);
+
+  return { cols, rows, points, surfaceWidth };
+}
+
+/**
+ * Unwarped size of a mesh - average length of its opposite edges
+ * (or the unrolled width of a cylinder).
+ * Used to size the flat pattern so it isn't stretched before warping.
+ * @returns {object} { width, height } in pixels
+ */
+function getMeshSize(mesh) {
+  const { cols, rows, points } = mesh;
+  const at = (c, r) => points[r * (cols + 1) + c];
+  let top = 0;
+  let bottom = 0;
+  let left = 0;
+  let right = 0;
+
+  for (let c = 0; c < cols; c++) {
+    top += distance(at(c, 0), at(c + 1, 0));
+    bottom += distance(at(c, rows), at(c + 1, rows));
+  }
+  for (let r = 0; r < rows; r++) {
+    left += distance(at(0, r), at(0, r + 1));
+    right += distance(at(cols, r), at(cols, r + 1));
+  }
+
+  return {
+    width: mesh.surfaceWidth || (top + bottom) / 2,
+    height: (left + right) / 2
+  };
+}
+
+/**
+ * Distance between two [x, y] points
+ */
+function distance(a, b) {
+  return Math.hypot(b[0] - a[0], b[1] - a[1]);
+}
+
+/**
+ * Texture-map an image through a mesh
+ * Each mesh cell is split into two triangles, and each triangle is drawn
+ * with the affine transform that carries its corner of the image onto it.
+ * Clip triangles are grown slightly so neighbours overlap without hairlines.
+ * @param {CanvasRenderingContext2D} ctx - Destination context
+ * @param {CanvasImageSource} source - Flat image (stretched over the whole mesh)
+ * @param {number} sourceW - Source width in pixels
+ * @param {number} sourceH - Source height in pixels
+ * @param {object} mesh - Mesh from buildWarpMesh()
+ */
+function drawWarpedImage(ctx, source, sourceW, sourceH, mesh) {
+  const { cols, rows, points } = mesh;
+  const at = (c, r) => points[r * (cols + 1) + c];
+  const uv = (c, r) => [c / cols * sourceW, r / rows * sourceH];
+
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      drawTriangle(ctx, source,
+        [uv(c, r), uv(c + 1, r), uv(c, r + 1)],
+        [at(c, r), at(c + 1, r), at(c, r + 1)]);
+      drawTriangle(ctx, source,
+        [uv(c + 1, r), uv(c + 1, r + 1), uv(c, r + 1)],
+        [at(c + 1, r), at(c + 1, r + 1), at(c, r + 1)]);
+    }
+  }
+}
+
+/**
+ * Draw one source triangle onto one destination triangle
+ */
+function drawTriangle(ctx, source, src, dst) {
+  const [[sx0, sy0], [sx1, sy1], [sx2, sy2]] = src;
+  const [[dx0, dy0], [dx1, dy1], [dx2, dy2]] = dst;
+
+  const ux1 = sx1 - sx0;
+  const uy1 = sy1 - sy0;
+  const ux2 = sx2 - sx0;
+  const uy2 = sy2 - sy0;
+  const det = ux1 * uy2 - ux2 * uy1;
+  if (!det) return;
+
+  const vx1 = dx1 - dx0;
+  const vy1 = dy1 - dy0;
+  const vx2 = dx2 - dx0;
+  const vy2 = dy2 - dy0;
+
+  // Linear part maps the source edge vectors onto the destination ones
+  const a = (vx1 * uy2 - vx2 * uy1) / det;
+  const b = (vy1 * uy2 - vy2 * uy1) / det;
+  const c = (vx2 * ux1 - vx1 * ux2) / det;
+  const d = (vy2 * ux1 - vy1 * ux2) / det;
+  const e = dx0 - a * sx0 - c * sy0;
+  const f = dy0 - b * sx0 - d * sy0;
+
+  // Grow the clip a little around the centroid
+  const cx = (dx0 + dx1 + dx2) / 3;
+  const cy = (dy0 + dy1 + dy2) / 3;
+  const grow = (x, y) => {
+    const length = Math.hypot(x - cx, y - cy) || 1;
+    return [x + (x - cx) / length * 0.75, y + (y - cy) / length * 0.75];
+  };
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.moveTo(...grow(dx0, dy0));
+  ctx.lineTo(...grow(dx1, dy1));
+  ctx.lineTo(...grow(dx2, dy2));
+  ctx.closePath();
+  ctx.clip();
+  ctx.transform(a, b, c, d, e, f);
+  ctx.drawImage(source, 0, 0);
+  ctx.restore();
+}
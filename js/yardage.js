@@ -0,0 +1,219 @@
+/* ============================================================================
+YARDAGE.JS - Fabric Yardage View
+
+This file draws the Fabric Yardage view mode: a whole cut of fabric, bolt
+width across and yards long, with the pattern at its real printed size.
+
+- Repeat boundaries are marked along the top edge
+- Partial repeats at the selvedges are shaded
+- A caption gives the repeat count across and down
+
+The printed tile size comes from the print DPI (tile pixels per inch), which
+can be set here by typing the tile's printed width.
+============================================================================ */
+
+/**
+ * Set up the Fabric Yardage card
+ */
+function initYardage() {
+  const widthSelect = document.getElementById('yardageWidth');
+  const lengthInput = document.getElementById('yardageLength');
+  const tileInput = document.getElementById('yardageTile');
+
+  YARDAGE_CONFIG.BOLT_WIDTHS.forEach((width) => {
+    const option = document.createElement('option');
+    option.value = width;
+    option.textContent = `Bolt Width: ${width}"`;
+    widthSelect.appendChild(option);
+  });
+
+  widthSelect.value = canvasState.yardageWidth;
+  lengthInput.value = canvasState.yardageLength;
+
+  widthSelect.addEventListener('change', (e) => {
+    canvasState.yardageWidth = parseFloat(e.target.value);
+    requestDraw();
+  });
+
+  lengthInput.addEventListener('change', () => {
+    const length = parseFloat(lengthInput.value);
+    if (length > 0) {
+      canvasState.yardageLength = clamp(length, YARDAGE_CONFIG.MIN_LENGTH, YARDAGE_CONFIG.MAX_LENGTH);
+      requestDraw();
+    }
+    lengthInput.value = canvasState.yardageLength;
+  });
+
+  // The printed width sets the print DPI, so every real-size view follows it
+  tileInput.addEventListener('change', () => {
+    const inches = parseFloat(tileInput.value);
+    if (canvasState.tileImage && inches > 0) {
+      const dpi = getTileSize().width / inches;
+      canvasState.printDpi = clamp(dpi, YARDAGE_CONFIG.MIN_DPI, YARDAGE_CONFIG.MAX_DPI);
+      requestDraw();
+    }
+    showYardageTileWidth();
+  });
+}
+
+/**
+ * Show the tile's current printed width in the card (unless it's being edited)
+ */
+function showYardageTileWidth() {
+  const tileInput = document.getElementById('yardageTile');
+  if (!canvasState.tileImage || document.activeElement === tileInput) return;
+
+  const width = String(roundTo(getTileInches().width, 2));
+  if (tileInput.value !== width) tileInput.value = width;
+}
+
+/**
+ * Where whole repeats fall across the bolt
+ * A repeat is the whole repeat unit (e.g. two tiles for a mirror), and the
+ * first boundary follows the pattern's horizontal offset, so a shifted
+ * pattern can leave a partial repeat at both selvedges.
+ * @param {number} boltWidth - Bolt width in inches
+ * @param {number} tileWidth - Tile width in inches
+ * @param {number} unitWidth - Repeat unit width in inches
+ * @returns {object} { first, count, left, right } - first boundary and
+ *   partial widths in inches, count of whole repeats
+ */
+function getYardageRepeats(boltWidth, tileWidth, unitWidth) {
+  const epsilon = 1e-6;
+  let first = mod(canvasState.offsetPercentX * tileWidth, unitWidth);
+  if (first > unitWidth - epsilon) first = 0;
+
+  const count = Math.max(0, Math.floor((boltWidth - first) / unitWidth + epsilon));
+  const right = Math.max(0, boltWidth - first - count * unitWidth);
+
+  return {
+    first,
+    count,
+    left: first > epsilon ? first : 0,
+    right: right > epsilon ? right : 0
+  };
+}
+
+/**
+ * Draw the Fabric Yardage view
+ * @param {CanvasRenderingContext2D} ctx - Canvas context (centred)
+ */
+function drawYardage(ctx) {
+  const { MARGIN, CAPTION_HEIGHT, COLORS } = YARDAGE_CONFIG;
+  const canvasW = canvasState.canvas.width;
+  const canvasH = canvasState.canvas.height;
+
+  const boltWidth = canvasState.yardageWidth;
+  const length = canvasState.yardageLength * YARDAGE_CONFIG.YARD;
+  const tile = getTileInches();
+
+  // Fit the cut below the caption
+  const captionH = canvasH * CAPTION_HEIGHT;
+  const availableW = canvasW * (1 - MARGIN * 2);
+  const availableH = canvasH * (1 - MARGIN * 2) - captionH;
+  const pixelsPerInch = Math.min(availableW / boltWidth, availableH / length);
+  const fabricW = boltWidth * pixelsPerInch;
+  const fabricH = length * pixelsPerInch;
+  const x0 = -fabricW / 2;
+  const y0 = -fabricH / 2 + captionH / 2;
+
+  const tileW = tile.width * pixelsPerInch;
+  const unit = getRepeatUnitInches(tile);
+  const repeats = getYardageRepeats(boltWidth, tile.width, unit.width);
+
+  // Fabric
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x0, y0, fabricW, fabricH);
+  ctx.clip();
+  fillPatternToContext(ctx, x0, y0, fabricW, fabricH, tileW, tile.height * pixelsPerInch);
+
+  // Partial repeats at the selvedges
+  ctx.fillStyle = COLORS.partial;
+  if (repeats.left) ctx.fillRect(x0, y0, repeats.left * pixelsPerInch, fabricH);
+  if (repeats.right) ctx.fillRect(x0 + fabricW - repeats.right * pixelsPerInch, y0, repeats.right * pixelsPerInch, fabricH);
+
+  // Yard marks
+  ctx.strokeStyle = COLORS.edge;
+  ctx.lineWidth = 1;
+  ctx.setLineDash([6, 6]);
+  for (let yard = YARDAGE_CONFIG.YARD; yard < length - 1e-6; yard += YARDAGE_CONFIG.YARD) {
+    const y = Math.round(y0 + yard * pixelsPerInch) + 0.5;
+    ctx.beginPath();
+    ctx.moveTo(x0, y);
+    ctx.lineTo(x0 + fabricW, y);
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  // Fabric edge
+  ctx.strokeStyle = COLORS.edge;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(x0 - 0.5, y0 - 0.5, fabricW + 1, fabricH + 1);
+
+  // Repeat boundaries along the top edge
+  const tick = Math.max(4, canvasH * 0.012);
+  ctx.strokeStyle = COLORS.repeat;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  for (let i = 0; i <= repeats.count; i++) {
+    const x = x0 + (repeats.first + i * unit.width) * pixelsPerInch;
+    ctx.moveTo(x, y0 - tick);
+    ctx.lineTo(x, y0);
+  }
+  ctx.stroke();
+
+  drawViewCaption(ctx, y0 - tick * 1.5, canvasW, [
+    `${boltWidth}" × ${roundTo(canvasState.yardageLength, 2)} yd · repeat ${roundTo(unit.width, 2)}" × ${roundTo(unit.height, 2)}" (${Math.round(canvasState.printDpi)} DPI)`,
+    `${repeats.count} full repeat${repeats.count === 1 ? '' : 's'} across${describeYardagePartials(repeats)} · ` +
+      `${roundTo(length / unit.height, 1)} down`
+  ]);
+
+  showYardageTileWidth();
+}
+
+/**
+ * Partial repeat wording for the caption
+ */
+function describeYardagePartials(repeats) {
+  const inches = value => `${roundTo(value, 2)}"`;
+
+  if (repeats.left && repeats.right) {
+    return ` + partials of ${inches(repeats.left)} and ${inches(repeats.right)} at the selvedges`;
+  }
+  if (repeats.left || repeats.right) {
+    return ` + ${inches(repeats.left || repeats.right)} partial at the selvedge`;
+  }
+  return ', no partial repeat';
+}
+
+/**
+ * Caption lines in a pill, bottom edge at y
+ * Shared by the real-size views (yardage and wallpaper strips).
+ */
+function drawViewCaption(ctx, y, canvasW, lines) {
+  const { FONT_SIZE, COLORS } = YARDAGE_CONFIG;
+  const fontSize = Math.round(canvasW * FONT_SIZE);
+  const lineH = fontSize * 1.35;
+  const padding = fontSize * 0.6;
+
+  ctx.save();
+  ctx.font = `600 ${fontSize}px system-ui, sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  const textW = Math.min(canvasW * 0.94, Math.max(...lines.map(line => ctx.measureText(line).width)));
+  const boxW = textW + padding * 2;
+  const boxH = lines.length * lineH + padding;
+  const top = y - boxH;
+
+  ctx.fillStyle = COLORS.caption;
+  roundedRect(ctx, -boxW / 2, top, boxW, boxH, fontSize * 0.5);
+  ctx.fill();
+
+  ctx.fillStyle = COLORS.text;
+  lines.forEach((line, i) => {
+    ctx.fillText(line, 0, top + padding / 2 + lineH * (i + 0.5), textW);
+  });
+  ctx.restore();
+}